@@ -1,15 +1,40 @@
 #!/usr/bin/env node
-import { program } from 'commander';
-import { install, update, uninstall, status } from '../src/cli.js';
+import { program, Option } from 'commander';
 import { createRequire } from 'module';
+import path from 'path';
 
 const require = createRequire(import.meta.url);
 const { version } = require('../package.json');
 
+const SCOPES = ['global', 'project'];
+const scopeOption = (defaultScope) => {
+  const option = new Option('--scope <scope>', 'Install location: global (~/.kiro) or project (./.kiro)').choices(SCOPES);
+  return defaultScope ? option.default(defaultScope) : option;
+};
+
+const KEY_STORAGE = ['plaintext', 'env', 'secrets'];
+const keyStorageOption = (description) => new Option('--key-storage <mode>', description).choices(KEY_STORAGE);
+
+// The commands are loaded once --kiro-dir is known; registry servers and
+// profiles are read from the Kiro directory on first use
+let cli;
+const run = (name) => (...args) => cli[name](...args);
+
 program
   .name('superclaude-kiro')
   .description('Install SuperClaude Framework for Kiro CLI')
-  .version(version);
+  .version(version)
+  .option('--kiro-dir <path>', 'Kiro directory to use instead of ~/.kiro (default: $KIRO_HOME)')
+  .hook('preAction', async (_, actionCommand) => {
+    const { kiroDir } = program.opts();
+    if (kiroDir) {
+      process.env.KIRO_HOME = path.resolve(kiroDir);
+    }
+    cli = await import('../src/cli.js');
+    if (!['install', 'update'].includes(actionCommand.name())) {
+      cli.printRegistryWarnings();
+    }
+  });
 
 program
   .command('install')
@@ -22,24 +47,149 @@ program
   .option('--minimal', 'Install only core MCP servers (no prompts)')
   .option('--with-morph', 'Include MorphLLM Fast Apply (prompts for API key)')
   .option('--morph-api-key <key>', 'Include MorphLLM with this API key (for CI/CD)')
-  .action(install);
+  .addOption(keyStorageOption('Where to keep API keys: plaintext (in mcp.json, default), env (${VAR} reference) or secrets (0600 file, default for --scope project)'))
+  .option('--profile <name>', 'Install profile: minimal, frontend, backend, research or your own (see: profiles)')
+  .option('--config <path>', 'Team config file (default: superclaude-kiro.config.json in the repository root)')
+  .option('--no-config', 'Ignore the team config file')
+  .option('--from-bundle <file>', 'Install offline from a bundle made with: bundle create')
+  .addOption(scopeOption('global'))
+  .option('--dry-run', 'Show planned file and settings changes without writing anything')
+  .action(run('install'));
 
 program
   .command('update')
   .description('Update SuperClaude to latest version')
   .option('--with-morph', 'Add MorphLLM during update (prompts for API key)')
   .option('--morph-api-key <key>', 'Add MorphLLM with this API key during update')
-  .action(update);
+  .addOption(keyStorageOption('Where to keep new API keys (default: as recorded at install)'))
+  .option('--profile <name>', 'Install profile: minimal, frontend, backend, research or your own (see: profiles)')
+  .option('--config <path>', 'Team config file (default: superclaude-kiro.config.json in the repository root)')
+  .option('--no-config', 'Ignore the team config file')
+  .addOption(scopeOption('global'))
+  .option('--dry-run', 'Show planned file and settings changes without writing anything')
+  .action(run('update'));
 
 program
   .command('uninstall')
   .description('Remove SuperClaude from Kiro CLI')
   .option('-y, --yes', 'Skip confirmation prompt')
-  .action(uninstall);
+  .option('--purge-mcp', 'Also remove the MCP servers SuperClaude added (keeps your own)')
+  .addOption(scopeOption('global'))
+  .action(run('uninstall'));
 
 program
   .command('status')
-  .description('Check SuperClaude installation status')
-  .action(status);
+  .description('Check SuperClaude installation status (exit code 1: degraded, 2: not installed)')
+  .addOption(scopeOption())
+  .option('--json', 'Print status as JSON')
+  .action(run('status'));
+
+program
+  .command('verify')
+  .description('Check installed files against the install manifest')
+  .addOption(scopeOption('global'))
+  .action(run('verify'));
+
+program
+  .command('repair')
+  .description('Restore missing or modified files from the package')
+  .addOption(scopeOption('global'))
+  .action(run('repair'));
+
+program
+  .command('doctor')
+  .description('Check prerequisites for SuperClaude and its MCP servers')
+  .addOption(scopeOption('global'))
+  .action(run('doctor'));
+
+program
+  .command('lint')
+  .description('Check installed steering files and agents for broken #sc- references and undefined MCP servers')
+  .addOption(scopeOption('global'))
+  .action(run('lint'));
+
+program
+  .command('profiles')
+  .description('List install profiles (built-in and from superclaude-registry.json)')
+  .action(run('profiles'));
+
+const bundle = program
+  .command('bundle')
+  .description('Package SuperClaude for offline installs');
+
+bundle
+  .command('create <file>')
+  .description('Write a .tgz with the steering files, agents and MCP configuration')
+  .option('--servers <list>', 'Comma-separated MCP servers (default: the profile\'s, or the core servers)')
+  .option('--profile <name>', 'Bundle a profile\'s servers, commands and default agent')
+  .option('--prefetch', 'Include npm installs of npx-based MCP servers (no download on first start)')
+  .action(run('bundleCreate'));
+
+const mcp = program
+  .command('mcp')
+  .description('Manage and test configured MCP servers');
+
+mcp
+  .command('list')
+  .description('List managed and user-defined MCP servers')
+  .addOption(scopeOption('global'))
+  .action(run('mcpList'));
+
+mcp
+  .command('add <name>')
+  .description('Add a SuperClaude-managed MCP server')
+  .option('--api-key <key>', 'API key for servers that require one')
+  .addOption(scopeOption('global'))
+  .action(run('mcpAdd'));
+
+mcp
+  .command('remove <name>')
+  .description('Remove a SuperClaude-managed MCP server')
+  .addOption(scopeOption('global'))
+  .action(run('mcpRemove'));
+
+mcp
+  .command('enable <name>')
+  .description('Enable a configured MCP server')
+  .addOption(scopeOption('global'))
+  .action(run('mcpEnable'));
+
+mcp
+  .command('disable <name>')
+  .description('Disable a configured MCP server without removing it')
+  .addOption(scopeOption('global'))
+  .action(run('mcpDisable'));
+
+mcp
+  .command('test [name]')
+  .description('Start each stdio server, run the MCP handshake and list its tools')
+  .option('--timeout <ms>', 'Per-request timeout in milliseconds', '30000')
+  .addOption(scopeOption('global'))
+  .action(run('mcpTest'));
+
+const keys = program
+  .command('keys')
+  .description('Manage API keys of configured MCP servers');
+
+keys
+  .command('set <server>')
+  .description('Set the API key of an MCP server')
+  .option('--key <key>', 'The API key (prompts when omitted)')
+  .addOption(new Option('--storage <mode>', 'plaintext, env or secrets (default: current or recorded mode)').choices(KEY_STORAGE))
+  .addOption(scopeOption('global'))
+  .action(run('keysSet'));
+
+keys
+  .command('rotate <server>')
+  .description('Replace an existing API key, keeping how it is stored')
+  .option('--key <key>', 'The new API key (prompts when omitted)')
+  .addOption(scopeOption('global'))
+  .action(run('keysRotate'));
+
+keys
+  .command('remove <server>')
+  .description('Remove the API key of an MCP server')
+  .addOption(scopeOption('global'))
+  .action(run('keysRemove'));
 
-program.parse();
+await program.parseAsync();
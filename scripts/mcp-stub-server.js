@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Minimal stdio MCP server for testing `superclaude-kiro mcp test` offline
+ *
+ * Usage (in settings/mcp.json):
+ *   "stub": { "command": "node", "args": ["scripts/mcp-stub-server.js", "tool_a", "tool_b"] }
+ *
+ * Exposes one tool per argument; answers initialize, tools/list and ping.
+ * --require-env NAME=VALUE makes it exit with code 3 unless NAME is VALUE.
+ */
+import readline from 'readline';
+
+const args = process.argv.slice(2);
+const required = args.indexOf('--require-env');
+if (required !== -1) {
+  const [name, ...value] = args.splice(required, 2)[1].split('=');
+  if (process.env[name] !== value.join('=')) {
+    process.stderr.write(`${name} is ${process.env[name] === undefined ? 'not set' : `"${process.env[name]}"`}\n`);
+    process.exit(3);
+  }
+}
+
+const tools = args.map(name => ({
+  name,
+  description: `Stub tool ${name}`,
+  inputSchema: { type: 'object', properties: {} }
+}));
+
+const handlers = {
+  initialize: params => ({
+    protocolVersion: params?.protocolVersion || '2024-11-05',
+    capabilities: { tools: {} },
+    serverInfo: { name: 'superclaude-kiro-stub', version: '0.0.0' }
+  }),
+  'tools/list': () => ({ tools }),
+  ping: () => ({})
+};
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+readline.createInterface({ input: process.stdin }).on('line', line => {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch {
+    return;
+  }
+
+  // Notifications need no reply
+  if (message.id === undefined) return;
+
+  const handler = handlers[message.method];
+  if (handler) {
+    send({ id: message.id, result: handler(message.params) });
+  } else {
+    send({ id: message.id, error: { code: -32601, message: `Method not found: ${message.method}` } });
+  }
+});
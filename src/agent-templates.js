@@ -0,0 +1,100 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { readCommand, formatCommandList } from './converter.js';
+
+/**
+ * Kiro agents rendered from the templates in templates/agents/
+ *
+ *   agents.json  base: fields every agent shares ($schema, tools, model, ...)
+ *                flags: flag-parsing instructions by id
+ *                commandAgents: commands that get a generated sc-<command> agent,
+ *                  by frontmatter category or by name (include/exclude)
+ *   <name>.md    one agent: frontmatter name, description, flags (ids),
+ *                flagText (this agent's wording of a flag, by id) and any
+ *                base field to override; the body is the prompt, where
+ *                {{commands}} becomes the command list grouped by category
+ *   command.md   the same for generated command agents, with {{command}}
+ *                and {{description}} filled in from the command's frontmatter
+ *
+ * A hand-written <name>.md wins over a generated agent of the same name.
+ * Templates are written in Claude Code terms like the commands; the build
+ * passes a rewrite function (rewrite.js) that turns them into Kiro terms.
+ */
+
+const CONFIG_FILE = 'agents.json';
+const COMMAND_TEMPLATE = 'command.md';
+
+/**
+ * Render every agent
+ * @param {string} templatesDir - templates/agents
+ * @param {Object[]} commands - Commands from readCommand(), for generated agents
+ * @param {Function} [rewrite] - (text, templateFile) -> text, applied to each
+ *   description and prompt before the {{placeholders}} are filled in
+ * @returns {Promise<Object[]>} Agent definitions, ready to write as <name>.json
+ * @throws {Error} On an unknown flag id or an unknown command in commandAgents
+ */
+export async function renderAgents(templatesDir, commands = [], rewrite = text => text) {
+  const config = await fs.readJson(path.join(templatesDir, CONFIG_FILE));
+  const agents = [];
+  const commandList = formatCommandList(commands);
+
+  for (const file of (await fs.readdir(templatesDir)).sort()) {
+    if (!file.endsWith('.md') || file === COMMAND_TEMPLATE) continue;
+    const template = await readCommand(path.join(templatesDir, file));
+    agents.push(renderAgent(template, config, rewrite, { commands: commandList }));
+  }
+
+  const written = new Set(agents.map(agent => agent.name));
+  const commandTemplate = await readCommand(path.join(templatesDir, COMMAND_TEMPLATE));
+  for (const command of selectCommandAgents(commands, config.commandAgents)) {
+    if (written.has(`sc-${command.name}`)) continue;
+    agents.push(renderAgent(commandTemplate, config, rewrite, {
+      name: `sc-${command.name}`,
+      command: command.name,
+      description: String(command.metadata.description || command.metadata.purpose || `the ${command.name} workflow`).replace(/\.$/, '')
+    }));
+  }
+
+  return agents;
+}
+
+function renderAgent(template, config, rewrite, values = {}) {
+  const { name, description, flags = [], flagText = {}, ...overrides } = template.metadata;
+  const fill = text => String(text).replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? match);
+
+  const unknown = flags.filter(flag => !config.flags[flag]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown flag(s) in ${template.file}: ${unknown.join(', ')} (known: ${Object.keys(config.flags).join(', ')})`);
+  }
+  const unused = Object.keys(flagText).filter(flag => !flags.includes(flag));
+  if (unused.length > 0) {
+    throw new Error(`flagText in ${template.file} names flag(s) not in its flags: ${unused.join(', ')}`);
+  }
+
+  let prompt = template.body;
+  if (flags.length > 0) {
+    prompt += '\n\n## FLAG PARSING (CRITICAL)\n' + flags.map(flag => `- ${flagText[flag] ?? config.flags[flag]}`).join('\n');
+  }
+
+  return {
+    $schema: config.base.$schema,
+    name: values.name || name || template.name,
+    description: fill(rewrite(String(description), template.file)),
+    prompt: fill(rewrite(prompt, template.file)),
+    ...config.base,
+    ...overrides
+  };
+}
+
+// Commands in commandAgents.categories or .include, minus .exclude
+function selectCommandAgents(commands, { categories = [], include = [], exclude = [] } = {}) {
+  const names = commands.map(command => command.name);
+  const unknown = [...include, ...exclude].filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown command(s) in ${CONFIG_FILE} commandAgents: ${unknown.join(', ')}`);
+  }
+
+  return commands.filter(command =>
+    (categories.includes(command.metadata.category) || include.includes(command.name)) &&
+    !exclude.includes(command.name));
+}
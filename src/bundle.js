@@ -0,0 +1,257 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import chalk from 'chalk';
+import ora from 'ora';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { getMcpServers, getCoreServers } from './mcp-servers.js';
+import { getProfile } from './profiles.js';
+import { createTarGz, extractTarGz } from './tar.js';
+import { ConfigError } from './errors.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Offline bundles
+ *
+ * `bundle create` packs everything an install needs into one .tgz:
+ *   bundle.json              format, package version and the MCP selection
+ *   dist/...                 steering files and agents, as shipped
+ *   mcp/<server>/...         npm installs of npx-based servers (--prefetch)
+ *
+ * `install --from-bundle` installs from it without network access.
+ * Prefetched servers are copied to <kiroDir>/superclaude-mcp/<server> and
+ * their mcp.json entries run `node <bin>` from there instead of `npx`.
+ * API keys are never bundled; they are asked for or read from the env on install.
+ */
+
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+
+const BUNDLE_FORMAT = 1;
+
+// Where prefetched MCP servers live inside the Kiro directory
+export const BUNDLED_SERVERS_DIR = 'superclaude-mcp';
+
+export async function createBundle(file, options = {}) {
+  const spinner = ora('Creating bundle...').start();
+  let stagingDir = null;
+
+  try {
+    if (!await fs.pathExists(DIST_DIR)) {
+      throw new Error('Distribution files not found; run npm run build first');
+    }
+
+    // Servers: --servers, else the profile's, else the core servers
+    const profile = options.profile ? getProfile(options.profile) : null;
+    const servers = options.servers || profile?.mcpServers || getCoreServers();
+    const unknown = servers.filter(name => !getMcpServers()[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown MCP server(s): ${unknown.join(', ')} (available: ${Object.keys(getMcpServers()).join(', ')})`);
+    }
+
+    const entries = (await listFiles(DIST_DIR)).map(rel => ({
+      name: `dist/${rel}`,
+      source: path.join(DIST_DIR, rel)
+    }));
+
+    // Prefetch npx-based servers with npm; anything else still needs network at runtime
+    const prefetched = {};
+    const online = [];
+    if (options.prefetch) {
+      stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-bundle-'));
+      for (const name of servers) {
+        const spec = parseNpxArgs(getMcpServers()[name].config);
+        if (!spec) {
+          online.push(name);
+          continue;
+        }
+        spinner.text = `Fetching ${spec.package}...`;
+        const serverDir = path.join(stagingDir, name);
+        prefetched[name] = { package: spec.package, ...await npmInstall(spec, serverDir) };
+        for (const rel of await listFiles(serverDir)) {
+          entries.push({ name: `mcp/${name}/${rel}`, source: path.join(serverDir, rel) });
+        }
+      }
+    } else {
+      online.push(...servers);
+    }
+
+    const info = {
+      format: BUNDLE_FORMAT,
+      version: require('../package.json').version,
+      createdAt: new Date().toISOString(),
+      mcpServers: servers,
+      ...(profile ? {
+        profile: profile.name,
+        ...(profile.commands ? { commands: profile.commands } : {}),
+        defaultAgent: profile.defaultAgent
+      } : {}),
+      prefetched
+    };
+    entries.unshift({ name: 'bundle.json', content: JSON.stringify(info, null, 2) + '\n' });
+
+    spinner.text = 'Writing bundle...';
+    const outFile = path.resolve(file);
+    await createTarGz(outFile, entries);
+    const { size } = await fs.stat(outFile);
+
+    spinner.succeed(chalk.green(`Bundle created: ${outFile}`));
+    console.log('');
+    console.log(chalk.gray(`  superclaude-kiro ${info.version}${profile ? `, ${profile.name} profile` : ''}, ${(size / 1024 / 1024).toFixed(1)} MB`));
+    console.log(chalk.gray(`  MCP servers: ${servers.join(', ')}`));
+    if (Object.keys(prefetched).length > 0) {
+      console.log(chalk.gray(`  Prefetched: ${Object.keys(prefetched).join(', ')}`));
+    }
+    if (online.length > 0) {
+      console.log(chalk.yellow(`  Not prefetched (download on first start): ${online.join(', ')}`));
+    }
+    console.log('');
+    console.log(chalk.gray(`  Install with: npx superclaude-kiro install --from-bundle ${path.basename(outFile)}`));
+    console.log('');
+
+  } catch (error) {
+    spinner.fail(chalk.red('Bundle failed: ' + error.message));
+    process.exit(1);
+  } finally {
+    if (stagingDir) await fs.remove(stagingDir);
+  }
+}
+
+/**
+ * Extract a bundle to a temporary directory
+ * @param {string} file - Bundle created by `bundle create`
+ * @returns {Promise<{file: string, dir: string, distDir: string, info: Object, cleanup: Function}>}
+ * @throws {Error} When the file is missing or not a bundle
+ */
+export async function openBundle(file) {
+  const bundlePath = path.resolve(file);
+  if (!await fs.pathExists(bundlePath)) {
+    throw new ConfigError(`Bundle not found: ${bundlePath}`);
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-bundle-'));
+  try {
+    await extractTarGz(bundlePath, dir);
+    const info = await fs.readJson(path.join(dir, 'bundle.json')).catch(() => null);
+    if (!info || info.format !== BUNDLE_FORMAT) {
+      throw new ConfigError(`${path.basename(bundlePath)} is not a superclaude-kiro bundle (format ${BUNDLE_FORMAT})`);
+    }
+    const unknown = info.mcpServers.filter(name => !getMcpServers()[name]);
+    if (unknown.length > 0) {
+      throw new ConfigError(`Bundle uses MCP server(s) not known here: ${unknown.join(', ')}`);
+    }
+    return {
+      file: bundlePath,
+      dir,
+      distDir: path.join(dir, 'dist'),
+      info,
+      cleanup: () => fs.remove(dir)
+    };
+  } catch (error) {
+    await fs.remove(dir);
+    throw error;
+  }
+}
+
+/**
+ * mcp.json command/args of a bundle's prefetched servers once copied into a Kiro directory
+ * @param {Object} bundle - From openBundle()
+ * @param {string} kiroDir - Kiro directory
+ * @param {string[]} servers - Selected servers (others are skipped)
+ * @returns {Object<string, Object>} Config overrides per server
+ */
+export function bundledServerConfigs(bundle, kiroDir, servers) {
+  const configs = {};
+  for (const [name, entry] of Object.entries(bundle.info.prefetched || {})) {
+    if (!servers.includes(name)) continue;
+    const target = path.join(kiroDir, BUNDLED_SERVERS_DIR, name);
+    configs[name] = { command: 'node', args: [path.join(target, entry.bin), ...entry.args] };
+  }
+  return configs;
+}
+
+/**
+ * Copy a bundle's prefetched servers into the Kiro directory
+ * @param {Object} bundle - From openBundle()
+ * @param {string} kiroDir - Kiro directory
+ * @param {string[]} servers - Selected servers (others are skipped)
+ * @returns {Promise<Object<string, Object>>} Config overrides per server
+ */
+export async function installBundledServers(bundle, kiroDir, servers) {
+  const configs = bundledServerConfigs(bundle, kiroDir, servers);
+  for (const name of Object.keys(configs)) {
+    const target = path.join(kiroDir, BUNDLED_SERVERS_DIR, name);
+    await fs.remove(target);
+    await fs.copy(path.join(bundle.dir, 'mcp', name), target);
+  }
+  return configs;
+}
+
+/**
+ * Servers of a bundle that still download their package when first started
+ * @param {Object} info - bundle.json
+ * @param {string[]} servers - Selected servers
+ * @returns {string[]}
+ */
+export function needsNetwork(info, servers) {
+  return servers.filter(name => !info.prefetched?.[name]);
+}
+
+// Package spec and remaining args of an `npx [flags] <package> [args]` config
+function parseNpxArgs(config) {
+  if (config.command !== 'npx') return null;
+  const args = config.args || [];
+  const index = args.findIndex(arg => !arg.startsWith('-'));
+  if (index === -1) return null;
+
+  const spec = args[index];
+  const at = spec.lastIndexOf('@');
+  return {
+    spec,
+    package: at > 0 ? spec.slice(0, at) : spec,
+    args: args.slice(index + 1)
+  };
+}
+
+// npm install one package into its own prefix and find its bin script
+async function npmInstall({ spec, package: name, args }, prefix) {
+  await fs.ensureDir(prefix);
+  const npm = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+  const result = spawnSync(npm, ['install', '--prefix', prefix, '--omit=dev', '--no-audit', '--no-fund', spec], {
+    encoding: 'utf-8',
+    shell: process.platform === 'win32',
+    timeout: 10 * 60 * 1000
+  });
+  if (result.status !== 0) {
+    const detail = (result.stderr || result.error?.message || '').trim().split('\n').pop();
+    throw new Error(`npm install ${spec} failed${detail ? `: ${detail}` : ''}`);
+  }
+
+  const pkg = await fs.readJson(path.join(prefix, 'node_modules', ...name.split('/'), 'package.json'));
+  const bins = typeof pkg.bin === 'string' ? { [name.split('/').pop()]: pkg.bin } : pkg.bin || {};
+  const bin = bins[name.split('/').pop()] || Object.values(bins)[0];
+  if (!bin) {
+    throw new Error(`${name} has no executable to run`);
+  }
+
+  return { bin: path.posix.join('node_modules', name, bin), args };
+}
+
+// Regular files under a directory, as '/'-separated relative paths (symlinks skipped)
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, rel));
+    } else if (entry.isFile()) {
+      files.push(rel);
+    }
+  }
+  return files;
+}
@@ -1,30 +1,203 @@
-import { installSuperClaude, updateSuperClaude, uninstallSuperClaude, getStatus } from './installer.js';
+import chalk from 'chalk';
+import {
+  installSuperClaude,
+  updateSuperClaude,
+  uninstallSuperClaude,
+  getStatus,
+  verifyInstallation,
+  repairInstallation
+} from './installer.js';
+import { runDoctor } from './doctor.js';
+import { runLint } from './lint.js';
+import { printProfiles, getProfileWarnings } from './profiles.js';
+import { getRegistryWarnings } from './mcp-servers.js';
+import {
+  testMcpServers,
+  listMcpServers,
+  addMcpServer,
+  removeMcpServer,
+  setMcpServerEnabled
+} from './mcp-commands.js';
+import { setKey, rotateKey, removeKey } from './key-commands.js';
+import { createBundle } from './bundle.js';
+import { printPlan } from './plan.js';
+import {
+  createSpinnerReporter,
+  printInstallResult,
+  printUninstallResult,
+  printFailure
+} from './report.js';
+
+// Registry and profile entries that were skipped (install and update report
+// them with their other warnings)
+export function printRegistryWarnings() {
+  for (const message of [...getRegistryWarnings(), ...getProfileWarnings()]) {
+    console.warn(chalk.yellow(`  Warning: ${message}`));
+  }
+}
 
 export async function install(options) {
-  await installSuperClaude({
+  await runInstall('Installation failed', reporter => installSuperClaude({
     force: options.force || false,
     mcp: options.mcp !== false,
     default: options.default !== false,
     interactive: options.interactive,
     minimal: options.minimal || false,
     withMorph: options.withMorph || false,
-    morphApiKey: options.morphApiKey || null
-  });
+    morphApiKey: options.morphApiKey || null,
+    scope: options.scope,
+    keyStorage: options.keyStorage,
+    config: options.config,
+    profile: options.profile,
+    fromBundle: options.fromBundle || null,
+    dryRun: options.dryRun || false,
+    onEvent: reporter.onEvent
+  }), options);
 }
 
 export async function update(options) {
-  await updateSuperClaude({
+  await runInstall('Update failed', reporter => updateSuperClaude({
     withMorph: options.withMorph || false,
-    morphApiKey: options.morphApiKey || null
-  });
+    morphApiKey: options.morphApiKey || null,
+    scope: options.scope,
+    keyStorage: options.keyStorage,
+    config: options.config,
+    profile: options.profile,
+    dryRun: options.dryRun || false,
+    onEvent: reporter.onEvent
+  }), options);
 }
 
 export async function uninstall(options) {
-  await uninstallSuperClaude({
-    skipConfirm: options.yes || false
-  });
+  const reporter = createSpinnerReporter();
+  try {
+    const result = await uninstallSuperClaude({
+      purgeMcp: options.purgeMcp || false,
+      scope: options.scope,
+      onEvent: reporter.onEvent
+    });
+    reporter.succeed('SuperClaude uninstalled successfully!');
+    printUninstallResult(result);
+  } catch (error) {
+    printFailure('Uninstall failed', error, reporter);
+  }
 }
 
 export async function status(options) {
-  await getStatus();
+  await getStatus({
+    scope: options.scope,
+    json: options.json || false
+  });
+}
+
+export async function verify(options) {
+  await verifyInstallation({
+    scope: options.scope
+  });
+}
+
+export async function repair(options) {
+  await repairInstallation({
+    scope: options.scope
+  });
+}
+
+export async function doctor(options) {
+  await runDoctor({
+    scope: options.scope
+  });
+}
+
+export async function lint(options) {
+  await runLint({
+    scope: options.scope
+  });
+}
+
+export async function profiles() {
+  printProfiles();
+}
+
+export async function bundleCreate(file, options) {
+  await createBundle(file, {
+    servers: options.servers ? options.servers.split(',').map(name => name.trim()).filter(Boolean) : null,
+    profile: options.profile,
+    prefetch: options.prefetch || false
+  });
+}
+
+export async function mcpTest(name, options) {
+  await testMcpServers(name, {
+    scope: options.scope,
+    timeout: options.timeout ? parseInt(options.timeout, 10) : undefined
+  });
+}
+
+export async function mcpList(options) {
+  await listMcpServers({
+    scope: options.scope
+  });
+}
+
+export async function mcpAdd(name, options) {
+  await addMcpServer(name, {
+    scope: options.scope,
+    apiKey: options.apiKey || null
+  });
+}
+
+export async function mcpRemove(name, options) {
+  await removeMcpServer(name, {
+    scope: options.scope
+  });
+}
+
+export async function mcpEnable(name, options) {
+  await setMcpServerEnabled(name, true, {
+    scope: options.scope
+  });
+}
+
+export async function mcpDisable(name, options) {
+  await setMcpServerEnabled(name, false, {
+    scope: options.scope
+  });
+}
+
+export async function keysSet(server, options) {
+  await setKey(server, {
+    scope: options.scope,
+    key: options.key || null,
+    storage: options.storage
+  });
+}
+
+export async function keysRotate(server, options) {
+  await rotateKey(server, {
+    scope: options.scope,
+    key: options.key || null
+  });
+}
+
+export async function keysRemove(server, options) {
+  await removeKey(server, {
+    scope: options.scope
+  });
+}
+
+// Run install or update with a spinner, then print the plan (dry run) or summary
+async function runInstall(label, run, options) {
+  const reporter = createSpinnerReporter();
+  try {
+    const result = await run(reporter);
+    if (result.dryRun) {
+      reporter.stop();
+      printPlan(result.plan, result.kiroDir);
+      return;
+    }
+    reporter.succeed('SuperClaude installed successfully!');
+    printInstallResult(result, options);
+  } catch (error) {
+    printFailure(label, error, reporter);
+  }
 }
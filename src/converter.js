@@ -1,63 +1,214 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { parseYaml, YamlSyntaxError } from './yaml.js';
 
 /**
- * Convert a Claude Code command file to Kiro steering file format
- * @param {string} src - Source file path
- * @param {string} dst - Destination file path
+ * Claude Code command files -> Kiro steering files
+ *
+ * Used by scripts/build.js; it lives in src/ so the installer reads command
+ * metadata by the same rules. Frontmatter is parsed with the YAML subset in
+ * yaml.js and may be written in one of three forms:
+ *   block   ---, <yaml>, --- at the top of the file
+ *   bare    <yaml>, --- without the opening marker (agent.md)
+ *   fenced  a ```yaml block holding ---, <yaml>, ---, after the title
+ *           heading (business-panel.md); the heading stays in the body
+ *
+ * Bodies are written in Claude Code terms (/sc:x, tool names, ~/.claude);
+ * rewrite.js turns them into Kiro terms.
  */
-export async function convertCommand(src, dst) {
+
+// Source command whose steering file lists every command
+const HELP_COMMAND = 'help';
+
+// Written to dist/ by the build: the metadata the command lists were made
+// from, so an install of a subset can limit them (limitCommandLists)
+export const COMMANDS_INDEX = 'commands.json';
+
+// Display order of command categories; others follow alphabetically
+const CATEGORY_ORDER = ['orchestration', 'workflow', 'utility', 'analysis', 'session', 'special'];
+
+/**
+ * Frontmatter that does not parse
+ */
+export class FrontmatterError extends Error {
+  constructor(file, cause) {
+    super(`Invalid frontmatter in ${file}: ${cause.message}`);
+    this.name = 'FrontmatterError';
+    this.file = file;
+    this.line = cause.line;
+  }
+}
+
+/**
+ * Split a command file into its frontmatter and body
+ * @param {string} content - Markdown content
+ * @returns {{metadata: Object, body: string, form: 'block'|'bare'|'fenced'|null}}
+ *   Parsed frontmatter ({} when there is none), the content without it
+ *   (trimmed) and which form it was written in
+ * @throws {YamlSyntaxError} When the frontmatter is not valid YAML
+ */
+export function parseCommand(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const lines = text.split(/\r?\n/);
+
+  // ---\n<yaml>\n---
+  if (lines[0].trim() === '---') {
+    const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+    if (end !== -1) {
+      return result(parseYaml(lines.slice(1, end).join('\n'), 2), lines.slice(end + 1), 'block');
+    }
+  }
+
+  // <yaml>\n--- (opening marker missing)
+  const bareEnd = lines.findIndex(line => line.trim() === '---');
+  if (bareEnd > 0 && /^[\w-]+:(\s|$)/.test(lines[0]) &&
+      lines.slice(0, bareEnd).every(line => /^([\w-]+:(\s|$)|-\s|\s+\S|\s*(#.*)?$)/.test(line))) {
+    return result(parseYaml(lines.slice(0, bareEnd).join('\n'), 1), lines.slice(bareEnd + 1), 'bare');
+  }
+
+  // # Title\n```yaml\n---\n<yaml>\n---\n```
+  const fence = lines.findIndex(line => /^```ya?ml\s*$/.test(line.trim()));
+  if (fence !== -1 && lines.slice(0, fence).every(line => line.trim() === '' || /^#\s/.test(line)) &&
+      lines[fence + 1]?.trim() === '---') {
+    const end = lines.findIndex((line, index) => index > fence + 1 && line.trim() === '---');
+    if (end !== -1 && lines[end + 1]?.trim() === '```') {
+      const metadata = parseYaml(lines.slice(fence + 2, end).join('\n'), fence + 3);
+      const title = lines.slice(0, fence).join('\n').trim();
+      return result(metadata, [title, '', lines.slice(end + 2).join('\n').trim()], 'fenced');
+    }
+  }
+
+  return result({}, lines, null);
+}
+
+/**
+ * Read a command file
+ * @param {string} src - Path to the .md file
+ * @returns {Promise<{name: string, file: string, metadata: Object, body: string, form: string|null}>}
+ *   `name` is the file name without .md, which is what #sc-<name> refers to
+ * @throws {FrontmatterError} When the frontmatter is not valid YAML
+ */
+export async function readCommand(src) {
   const content = await fs.readFile(src, 'utf-8');
-  const filename = path.basename(src, '.md');
+  try {
+    return { name: path.basename(src, '.md'), file: path.basename(src), ...parseCommand(content) };
+  } catch (error) {
+    throw error instanceof YamlSyntaxError ? new FrontmatterError(path.basename(src), error) : error;
+  }
+}
 
-  const kiroContent = `---
+/**
+ * Kiro steering file content for a command
+ * @param {Object} command - From readCommand()
+ * @param {Object[]} [commands] - All commands; when given, the help command's
+ *   command table is regenerated from them
+ * @returns {string}
+ */
+export function toSteering(command, commands = null) {
+  const body = commands && command.name === HELP_COMMAND
+    ? replaceCommandTable(command.body, formatCommandTable(commands))
+    : command.body;
+
+  return `---
 inclusion: manual
 ---
 
-# SuperClaude: ${filename}
+# SuperClaude: ${command.name}
 
 > Converted from Claude Code SuperClaude framework
-> Original: ~/.claude/commands/sc/${path.basename(src)}
+> Original: ~/.claude/commands/sc/${command.file}
+
+${body}`;
+}
 
-${stripFrontmatter(content)}`;
+/**
+ * Commands grouped by their frontmatter category
+ * @param {Object[]} commands - From readCommand()
+ * @returns {Array<{category: string, commands: Array<{name: string, description: string}>}>}
+ *   Known categories first (CATEGORY_ORDER), then others alphabetically, then
+ *   commands without one under "General"
+ */
+export function groupCommands(commands) {
+  const groups = new Map();
+  for (const command of [...commands].sort((a, b) => a.name.localeCompare(b.name))) {
+    const category = String(command.metadata.category || '').trim().toLowerCase();
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push({
+      name: command.name,
+      description: String(command.metadata.description || command.metadata.purpose || '').trim().replace(/\.$/, '')
+    });
+  }
 
-  await fs.writeFile(dst, kiroContent);
+  const rank = category => {
+    if (!category) return CATEGORY_ORDER.length + 1;
+    const index = CATEGORY_ORDER.indexOf(category);
+    return index === -1 ? CATEGORY_ORDER.length : index;
+  };
+  return [...groups.keys()]
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(category => ({
+      category: category ? category.replace(/(^|\s)\w/g, letter => letter.toUpperCase()) : 'General',
+      commands: groups.get(category)
+    }));
 }
 
 /**
- * Strip YAML frontmatter from markdown content
- * @param {string} content - Markdown content with potential frontmatter
- * @returns {string} Content without frontmatter
+ * Markdown list of the commands by category, for agent prompts
+ * @param {Object[]} commands - From readCommand()
+ * @returns {string}
  */
-export function stripFrontmatter(content) {
-  // Match YAML frontmatter at the start of the file
-  const match = content.match(/^---\r?\n[\s\S]*?\r?\n---\r?\n([\s\S]*)$/);
-  return match ? match[1].trim() : content.trim();
+export function formatCommandList(commands) {
+  return groupCommands(commands).map(group => [
+    `### ${group.category}`,
+    ...group.commands.map(command => `- #sc-${command.name}${command.description ? `: ${command.description}` : ''}`)
+  ].join('\n')).join('\n\n');
 }
 
 /**
- * Parse YAML frontmatter from markdown content
- * @param {string} content - Markdown content with frontmatter
- * @returns {Object} Parsed frontmatter object
+ * Markdown tables of the commands by category, for #sc-help
+ * @param {Object[]} commands - From readCommand()
+ * @returns {string}
  */
-export function parseFrontmatter(content) {
-  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
-  if (!match) return {};
+export function formatCommandTable(commands) {
+  return groupCommands(commands).map(group => [
+    `### ${group.category}`,
+    '',
+    '| Command | Description |',
+    '|---|---|',
+    ...group.commands.map(command => `| \`#sc-${command.name}\` | ${command.description.replace(/\|/g, '\\|')} |`)
+  ].join('\n')).join('\n\n');
+}
 
-  const yaml = match[1];
-  const result = {};
+/**
+ * Limit the generated command lists in a steering file or agent prompt to the
+ * installed commands; text without a generated list is returned unchanged
+ * @param {string} text - #sc-help body or agent prompt, as built from `commands`
+ * @param {Object[]} commands - Every command the lists were generated from
+ * @param {string[]} names - Names of the installed commands
+ * @returns {string}
+ */
+export function limitCommandLists(text, commands, names) {
+  const installed = commands.filter(command => names.includes(command.name));
+  return text
+    .replace(formatCommandTable(commands), () => formatCommandTable(installed))
+    .replace(formatCommandList(commands), () => formatCommandList(installed));
+}
 
-  // Simple YAML parsing for key: value pairs
-  const lines = yaml.split('\n');
-  for (const line of lines) {
-    const colonIndex = line.indexOf(':');
-    if (colonIndex > 0) {
-      const key = line.slice(0, colonIndex).trim();
-      const value = line.slice(colonIndex + 1).trim();
-      // Remove quotes if present
-      result[key] = value.replace(/^["']|["']$/g, '');
-    }
+// Swap the first "| Command | ... |" table for the generated one (appended if there is none)
+function replaceCommandTable(body, table) {
+  const lines = body.split('\n');
+  const start = lines.findIndex(line => /^\|\s*Command\s*\|/.test(line));
+  if (start === -1) {
+    return `${body}\n\n## Available Commands\n\n${table}`;
   }
+  let end = start;
+  while (end < lines.length && lines[end].startsWith('|')) end++;
+  return [...lines.slice(0, start), table, ...lines.slice(end)].join('\n');
+}
 
-  return result;
+function result(metadata, bodyLines, form) {
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new YamlSyntaxError('Frontmatter must be a mapping of keys to values', 1);
+  }
+  return { metadata, body: bodyLines.join('\n').trim(), form };
 }
@@ -0,0 +1,295 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { createRequire } from 'module';
+import { resolveKiroDir } from './installer.js';
+import { findExecutable } from './utils.js';
+import { parseJsonc } from './jsonc.js';
+import { readSettingsFile, SETTINGS_FILES } from './settings-file.js';
+import { readSecrets, parseEnvReference, getSecretsPath } from './secrets.js';
+import { getMcpServers } from './mcp-servers.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Prerequisite checks for `superclaude-kiro doctor`
+ *
+ * Each check yields { status, title, fix }:
+ * - status: 'pass' | 'warn' | 'fail'
+ * - title:  what was checked and what was found
+ * - fix:    suggested remedy (warn/fail only)
+ */
+
+const TOOL_FIXES = {
+  npx: 'Install Node.js (npx ships with npm): https://nodejs.org',
+  uvx: 'Install uv: https://docs.astral.sh/uv/getting-started/installation/',
+  git: 'Install git: https://git-scm.com/downloads'
+};
+
+export async function runDoctor(options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  const checks = [];
+
+  checks.push(checkNodeVersion());
+
+  const kiroExists = await fs.pathExists(kiroDir);
+  if (!kiroExists) {
+    checks.push({
+      status: 'fail',
+      title: `Kiro directory not found: ${kiroDir}`,
+      fix: scope === 'global'
+        ? 'Install Kiro CLI first: https://kiro.dev/docs/cli/'
+        : 'Run: npx superclaude-kiro install --scope project'
+    });
+  }
+
+  // Settings and agents must parse before anything else can be checked
+  const { checks: parseChecks, mcpConfig, agents } = await readKiroJson(kiroDir, kiroExists);
+  checks.push(...parseChecks);
+
+  // For project installs Kiro also loads the user-level servers
+  let servers = { ...(mcpConfig?.mcpServers || {}) };
+  if (scope === 'project') {
+    const globalMcp = await readSettingsQuietly(path.join(resolveKiroDir('global'), 'settings', 'mcp.json'));
+    servers = { ...(globalMcp?.mcpServers || {}), ...servers };
+  }
+
+  checks.push(...checkTools(servers));
+  // Fixes name the mcp and keys commands for the scope being checked
+  const scopeFlag = scope === 'project' ? ' --scope project' : '';
+  checks.push(...checkAgentServers(agents, servers, scopeFlag));
+  checks.push(...checkApiKeys(servers, await readSecrets(), scopeFlag));
+
+  printChecks(checks, kiroDir);
+
+  if (checks.some(check => check.status === 'fail')) {
+    process.exit(1);
+  }
+}
+
+function checkNodeVersion() {
+  const pkg = require('../package.json');
+  const required = pkg.engines?.node || '';
+  const match = required.match(/>=\s*(\d+)(?:\.(\d+))?(?:\.(\d+))?/);
+  const current = process.versions.node;
+
+  if (!match) {
+    return { status: 'pass', title: `Node.js ${current}` };
+  }
+
+  const wanted = match.slice(1).map(n => parseInt(n || '0', 10));
+  const actual = current.split('.').map(n => parseInt(n, 10));
+  const ok = compareVersions(actual, wanted) >= 0;
+
+  return ok
+    ? { status: 'pass', title: `Node.js ${current} (requires ${required})` }
+    : {
+        status: 'fail',
+        title: `Node.js ${current} is older than required ${required}`,
+        fix: 'Upgrade Node.js: https://nodejs.org'
+      };
+}
+
+async function readKiroJson(kiroDir, kiroExists) {
+  const checks = [];
+  const result = { checks, mcpConfig: null, agents: {} };
+  if (!kiroExists) return result;
+
+  const files = [
+    'settings/mcp.json',
+    'settings/cli.json',
+    'docs/superclaude-version.json'
+  ];
+  const agentsDir = path.join(kiroDir, 'agents');
+  if (await fs.pathExists(agentsDir)) {
+    for (const file of await fs.readdir(agentsDir)) {
+      if (file.endsWith('.json')) files.push(`agents/${file}`);
+    }
+  }
+
+  const failed = [];
+  let parsed = 0;
+  for (const file of files) {
+    const filePath = path.join(kiroDir, file);
+    if (!await fs.pathExists(filePath)) continue;
+    try {
+      // Kiro accepts comments and trailing commas in its settings files
+      const text = await fs.readFile(filePath, 'utf-8');
+      const json = SETTINGS_FILES.includes(file) ? parseJsonc(text).value : JSON.parse(text);
+      parsed++;
+      if (file === 'settings/mcp.json') result.mcpConfig = json;
+      if (file.startsWith('agents/')) result.agents[path.basename(file, '.json')] = json;
+    } catch (error) {
+      failed.push(file);
+      checks.push({
+        status: 'fail',
+        title: `${file} is not valid JSON: ${error.message}`,
+        fix: `Fix the syntax error in ${filePath}, or re-run install to move it aside and rebuild it`
+      });
+    }
+  }
+
+  if (failed.length === 0) {
+    checks.push({ status: 'pass', title: `Kiro JSON files parse (${parsed} checked)` });
+  }
+
+  if (!result.mcpConfig && !failed.includes('settings/mcp.json')) {
+    checks.push({
+      status: 'warn',
+      title: 'settings/mcp.json not found (no MCP servers configured)',
+      fix: 'Run: npx superclaude-kiro install --force'
+    });
+  }
+
+  return result;
+}
+
+function checkTools(servers) {
+  const checks = [];
+
+  // Which configured servers need each command
+  const usage = { npx: [], uvx: [], git: [] };
+  for (const [name, config] of Object.entries(servers)) {
+    if (!config?.command) continue;
+    (usage[config.command] ||= []).push(name);
+    if ((config.args || []).some(arg => String(arg).startsWith('git+'))) {
+      usage.git.push(name);
+    }
+  }
+
+  for (const [tool, usedBy] of Object.entries(usage)) {
+    const resolved = findExecutable(tool);
+    if (resolved) {
+      checks.push({ status: 'pass', title: `${tool} found (${resolved})` });
+    } else if (usedBy.length > 0) {
+      checks.push({
+        status: 'fail',
+        title: `${tool} not found on PATH (needed by ${usedBy.join(', ')})`,
+        fix: TOOL_FIXES[tool] || `Install ${tool} or update the server's command in settings/mcp.json`
+      });
+    } else {
+      checks.push({
+        status: 'warn',
+        title: `${tool} not found on PATH (not used by configured servers)`,
+        fix: TOOL_FIXES[tool]
+      });
+    }
+  }
+
+  return checks;
+}
+
+function checkAgentServers(agents, servers, scopeFlag) {
+  const checks = [];
+
+  for (const [agentName, agent] of Object.entries(agents)) {
+    const referenced = new Set(
+      (agent.allowedTools || [])
+        .filter(tool => typeof tool === 'string' && tool.startsWith('@'))
+        .map(tool => tool.slice(1).split('/')[0])
+    );
+    const available = { ...servers, ...(agent.mcpServers || {}) };
+    const missing = [...referenced].filter(name => !available[name]);
+
+    if (missing.length > 0) {
+      checks.push({
+        status: 'warn',
+        title: `Agent ${agentName} references servers missing from mcp.json: ${missing.join(', ')}`,
+        fix: missing.includes('morphllm-fast-apply') && missing.length === 1
+          ? `Optional. To add it, run: npx superclaude-kiro mcp add morphllm-fast-apply${scopeFlag}`
+          : `Run: ${missing.map(name => `npx superclaude-kiro mcp add ${name}${scopeFlag}`).join(', then ')}`
+      });
+    }
+  }
+
+  if (Object.keys(agents).length > 0 && checks.length === 0) {
+    checks.push({ status: 'pass', title: 'All agent server references resolve' });
+  }
+
+  return checks;
+}
+
+function checkApiKeys(servers, secrets, scopeFlag) {
+  const checks = [];
+
+  for (const [name, config] of Object.entries(servers)) {
+    for (const [envVar, value] of Object.entries(config?.env || {})) {
+      // ${VAR} references are fine as long as VAR is set where Kiro runs
+      const reference = parseEnvReference(value);
+      if (reference) {
+        if (process.env[reference]) continue;
+        checks.push({
+          status: 'warn',
+          title: `${name}: ${envVar} references \${${reference}}, which is not set`,
+          fix: reference in secrets
+            ? `Run: source ${getSecretsPath()} (and add it to your shell profile)`
+            : `Export ${reference} in your shell profile, or run: npx superclaude-kiro keys set ${name}${scopeFlag}`
+        });
+        continue;
+      }
+      if (!isPlaceholder(value)) continue;
+      checks.push({
+        status: 'warn',
+        title: `${name}: ${envVar} is a placeholder (${JSON.stringify(value)})`,
+        fix: getMcpServers()[name]?.apiKeyEnvVar === envVar
+          ? `Run: npx superclaude-kiro keys set ${name}${scopeFlag}`
+          : `Set a real value for ${envVar} in settings/mcp.json`
+      });
+    }
+  }
+
+  return checks;
+}
+
+function isPlaceholder(value) {
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  return trimmed === '' ||
+    trimmed.startsWith('${') ||
+    /^<.*>$/.test(trimmed) ||
+    /your[-_ ]?(api[-_ ]?)?key/i.test(trimmed) ||
+    /^(changeme|placeholder|todo|x+)$/i.test(trimmed);
+}
+
+function printChecks(checks, kiroDir) {
+  const icons = {
+    pass: chalk.green('✔'),
+    warn: chalk.yellow('!'),
+    fail: chalk.red('✖')
+  };
+
+  console.log('');
+  console.log(chalk.bold('  SuperClaude Doctor'));
+  console.log(chalk.gray('  ' + '─'.repeat(30)));
+  console.log(chalk.gray(`  Kiro directory: ${kiroDir}`));
+  console.log('');
+
+  for (const check of checks) {
+    console.log(`  ${icons[check.status]} ${check.title}`);
+    if (check.fix && check.status !== 'pass') {
+      console.log(chalk.gray(`      Fix: ${check.fix}`));
+    }
+  }
+
+  const count = status => checks.filter(check => check.status === status).length;
+  console.log('');
+  console.log(chalk.gray(`  ${count('pass')} passed, ${count('warn')} warnings, ${count('fail')} failed`));
+  console.log('');
+}
+
+async function readSettingsQuietly(filePath) {
+  try {
+    return await readSettingsFile(filePath);
+  } catch {
+    return null;
+  }
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
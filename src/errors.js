@@ -0,0 +1,53 @@
+/**
+ * Errors thrown by the installer API
+ *
+ * Every error has a stable `code` to branch on, and may carry a `hint`:
+ * { text, commands } telling the user what to do next (the CLI prints it).
+ * Errors thrown while files were being written also carry `rollback`:
+ * { restored: true } once the Kiro directory is back to how it was, or
+ * { restored: false, backupDir, error } when that failed.
+ */
+
+export class SuperClaudeError extends Error {
+  constructor(message, { code = 'SUPERCLAUDE_ERROR', hint = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.hint = hint;
+  }
+}
+
+/** The Kiro directory (~/.kiro, --kiro-dir or KIRO_HOME) does not exist */
+export class KiroNotFoundError extends SuperClaudeError {
+  constructor(message, hint) {
+    super(message, { code: 'KIRO_NOT_FOUND', hint });
+  }
+}
+
+/** install without force over an existing installation */
+export class AlreadyInstalledError extends SuperClaudeError {
+  constructor(message, hint) {
+    super(message, { code: 'ALREADY_INSTALLED', hint });
+  }
+}
+
+/** update or uninstall without an installation */
+export class NotInstalledError extends SuperClaudeError {
+  constructor(message, hint) {
+    super(message, { code: 'NOT_INSTALLED', hint });
+  }
+}
+
+/** The package's (or bundle's) dist/ files are missing */
+export class PackageError extends SuperClaudeError {
+  constructor(message, hint) {
+    super(message, { code: 'PACKAGE_CORRUPT', hint });
+  }
+}
+
+/** Invalid options, team config, profile or bundle */
+export class ConfigError extends SuperClaudeError {
+  constructor(message, hint) {
+    super(message, { code: 'INVALID_CONFIG', hint });
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * superclaude-kiro Node API
+ *
+ *   import { install, status } from 'superclaude-kiro';
+ *
+ *   const result = await install({ profile: 'frontend', onEvent: e => log(e.message) });
+ *   console.log(result.files.installed, result.mcpServers, result.warnings);
+ *
+ * Nothing here writes to the terminal or exits the process: progress goes to
+ * `onEvent`, results are returned and failures are thrown as SuperClaudeError
+ * subclasses (see ./errors.js). The Kiro directory is ~/.kiro, or KIRO_HOME
+ * when it is set before this module is imported.
+ */
+
+import {
+  installSuperClaude,
+  updateSuperClaude,
+  uninstallSuperClaude,
+  collectStatus
+} from './installer.js';
+import { lintInstallation } from './lint.js';
+
+export {
+  SuperClaudeError,
+  KiroNotFoundError,
+  AlreadyInstalledError,
+  NotInstalledError,
+  PackageError,
+  ConfigError
+} from './errors.js';
+export { SettingsFileError } from './settings-file.js';
+export { LockedError } from './lock.js';
+
+/**
+ * Install SuperClaude
+ * @param {Object} [options]
+ * @param {'global'|'project'} [options.scope='global'] - ~/.kiro, or .kiro/ at the repository root
+ * @param {boolean} [options.force] - Overwrite an existing installation
+ * @param {string} [options.profile] - Profile presetting servers, commands and default agent
+ * @param {string|false} [options.config] - Team config file (default: superclaude-kiro.config.json
+ *   at the repository root; false to ignore it)
+ * @param {string[]} [options.servers] - MCP servers (default: the profile's or team config's, else core
+ *   servers); an unknown name throws ConfigError
+ * @param {Object<string, string>} [options.apiKeys] - API keys by server name
+ * @param {'plaintext'|'env'|'secrets'} [options.keyStorage] - Where API keys are kept (default:
+ *   plaintext, or secrets for a project install)
+ * @param {boolean} [options.minimal] - Core MCP servers only
+ * @param {boolean} [options.mcp=true] - Configure MCP servers at all
+ * @param {boolean} [options.default=true] - Make the superclaude agent Kiro's default (global scope)
+ * @param {string} [options.fromBundle] - Install from an offline bundle file
+ * @param {boolean} [options.dryRun] - Only plan: resolves to { dryRun: true, plan }
+ * @param {boolean} [options.interactive=false] - Allow prompts (needs a TTY)
+ * @param {Function} [options.onEvent] - Progress callback, called with
+ *   { type: 'step' | 'info' | 'warning', message }
+ * @returns {Promise<Object>} { scope, kiroDir, version, source, profile,
+ *   files: { installed, localEdits, removed, staleKept }, mcpServers, settings,
+ *   defaultAgent: { name, set }, keyStorage, referencedVars, secretsFile, warnings }
+ * @throws {SuperClaudeError} A failure after the first write also carries `rollback`
+ */
+export async function install(options = {}) {
+  return await installSuperClaude(apiOptions(options));
+}
+
+/**
+ * Update an installation to this package's version
+ * Keeps its servers, profile, key storage and local edits of steering files.
+ * @param {Object} [options] - As for install(); scope, config, profile, keyStorage,
+ *   apiKeys, dryRun and onEvent apply
+ * @returns {Promise<Object>} As for install()
+ * @throws {NotInstalledError} When nothing is installed in the scope
+ */
+export async function update(options = {}) {
+  return await updateSuperClaude(apiOptions(options));
+}
+
+/**
+ * Remove SuperClaude
+ * @param {Object} [options]
+ * @param {'global'|'project'} [options.scope='global']
+ * @param {boolean} [options.purgeMcp] - Also remove the MCP servers it added
+ * @param {Function} [options.onEvent] - Progress callback, as for install()
+ * @returns {Promise<Object>} { scope, kiroDir, files: { removed }, restoredSettings,
+ *   mcpServers: { removed, restored } | null, mcpUnrecorded }
+ * @throws {NotInstalledError} When nothing is installed in the scope
+ */
+export async function uninstall(options = {}) {
+  return await uninstallSuperClaude(apiOptions(options));
+}
+
+/**
+ * Installation status, as printed by `status --json`
+ * @param {Object} [options]
+ * @param {'global'|'project'} [options.scope] - Default: the project install if there is one, else global
+ * @returns {Promise<Object>} { status: 'installed' | 'degraded' | 'not-installed' | 'kiro-missing', ... }
+ */
+export async function status(options = {}) {
+  return await collectStatus(options);
+}
+
+/**
+ * Problems in an installation, as printed by `lint`
+ * @param {Object} [options]
+ * @param {'global'|'project'} [options.scope='global']
+ * @returns {Promise<Object>} { kiroDir, problems: [{ level: 'error' | 'warning', file, message }] }
+ */
+export async function lint(options = {}) {
+  return await lintInstallation(options);
+}
+
+// No prompts unless asked for; --with-morph is a CLI shortcut for a prompt, so it is dropped
+function apiOptions({ withMorph, ...options }) {
+  return { ...options, interactive: options.interactive === true };
+}
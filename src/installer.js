@@ -1,453 +1,1432 @@
 import fs from 'fs-extra';
 import path from 'path';
-import os from 'os';
 import chalk from 'chalk';
 import ora from 'ora';
+import os from 'os';
 import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 import {
-  MCP_SERVERS,
-  CORE_SERVERS,
-  MANAGED_SERVERS,
-  buildServerConfig
+  getMcpServers,
+  getCoreServers,
+  getApiKeyServers,
+  getRegistryWarnings,
+  findRegistryClashes,
+  mergeMcpConfig
 } from './mcp-servers.js';
 import {
   isInteractive,
   selectMcpServers,
   promptMorphLLMSetup,
   promptMorphApiKeyQuick,
+  promptApiKey,
   confirmInstallation
 } from './prompts.js';
+import { getKiroDir, getProjectKiroDir } from './utils.js';
+import { limitCommandLists, COMMANDS_INDEX } from './converter.js';
+import { findTeamConfig, loadTeamConfig } from './team-config.js';
+import { getProfile, getProfileWarnings } from './profiles.js';
+import {
+  hashFile,
+  buildManifest,
+  verifyManifest,
+  toPointer,
+  getPointer,
+  restorePointer,
+  captureOriginals,
+  mergeOriginals
+} from './manifest.js';
+import { beginTransaction } from './transaction.js';
+import { acquireLock } from './lock.js';
+import {
+  KiroNotFoundError,
+  AlreadyInstalledError,
+  NotInstalledError,
+  PackageError,
+  ConfigError
+} from './errors.js';
+import {
+  readSettingsFile,
+  writeSettingsFile,
+  checkSettingsFiles,
+  SettingsFileError
+} from './settings-file.js';
+import { createPlan } from './plan.js';
+import { mergeThreeWay } from './merge.js';
+import {
+  openBundle,
+  installBundledServers,
+  bundledServerConfigs,
+  needsNetwork,
+  BUNDLED_SERVERS_DIR
+} from './bundle.js';
+import {
+  toEnvReference,
+  parseEnvReference,
+  writeSecret,
+  readSecrets,
+  describeKey,
+  resolveKeyStorage,
+  getSecretsPath,
+  SECRETS_FILE
+} from './secrets.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const require = createRequire(import.meta.url);
 
-const KIRO_DIR = path.join(os.homedir(), '.kiro');
 const DIST_DIR = path.join(__dirname, '..', 'dist');
 
+// cli.json keys written by applyDefaultAgent
+const DEFAULT_AGENT_KEYS = ['chat.defaultAgent', 'chat.enableThinking', 'chat.enableTodoList', 'chat.enableDelegate'];
+
+// Paths install/update may change, snapshotted so a failed run can be rolled back
+// (plus the bundled servers a --from-bundle run replaces)
+const TRANSACTION_PATHS = [
+  'steering/superclaude',
+  'agents',
+  'settings/mcp.json',
+  'settings/cli.json',
+  'docs/superclaude-version.json',
+  'docs/superclaude-base'
+];
+
+const VERSION_FILE = 'docs/superclaude-version.json';
+
+// Pristine copies of the installed steering files, the base for merging local edits on update
+const BASE_DIR = 'docs/superclaude-base';
+
+// Agents shipped before the install manifest existed
+const LEGACY_AGENTS = ['superclaude.json', 'sc-pm.json', 'sc-implement.json', 'sc-analyze.json'];
+
+/**
+ * Resolve the Kiro directory for an installation scope
+ * - global:  ~/.kiro (or --kiro-dir / KIRO_HOME, see getKiroDir)
+ * - project: <repository root>/.kiro
+ */
+export function resolveKiroDir(scope = 'global') {
+  return scope === 'project' ? getProjectKiroDir() : getKiroDir();
+}
+
+/**
+ * Install SuperClaude into a Kiro directory
+ * Prompts only when options.interactive allows it and stdin/stdout are a TTY.
+ * @param {Object} [options] - See src/index.js for the documented options
+ * @param {Function} [options.onEvent] - Called with { type: 'step' | 'info' | 'warning', message }
+ * @returns {Promise<Object>} Install result, or { dryRun: true, plan, ... } for a dry run
+ * @throws {SuperClaudeError} With `rollback` set when files had already been written
+ */
 export async function installSuperClaude(options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  const warnings = [];
+  const report = createReport(options.onEvent, warnings);
+  const canPrompt = options.interactive !== false && isInteractive();
+  let transaction = null;
+  let secretsTransaction = null;
+  let bundle = null;
+  let stagedDir = null;
+  let lock = null;
+
   try {
     // 1. Verify Kiro CLI directory exists (before any prompts)
-    if (!await fs.pathExists(KIRO_DIR)) {
-      console.log(chalk.red('\n  Kiro CLI not found.'));
-      console.log(chalk.yellow('\n  Please install Kiro CLI first:'));
-      console.log(chalk.cyan('    npm install -g @anthropic-ai/kiro-cli'));
-      console.log(chalk.yellow('    or visit: https://kiro.dev/docs/cli/'));
-      process.exit(1);
+    if (!await fs.pathExists(getKiroDir())) {
+      if (process.env.KIRO_HOME) {
+        throw new KiroNotFoundError(`Kiro directory not found: ${getKiroDir()} (from --kiro-dir or KIRO_HOME)`, {
+          text: 'Create it first to install into a new directory:',
+          commands: [`mkdir -p ${getKiroDir()}`]
+        });
+      }
+      throw new KiroNotFoundError('Kiro CLI not found.', {
+        text: 'Please install Kiro CLI first:',
+        commands: ['npm install -g @anthropic-ai/kiro-cli', 'or visit: https://kiro.dev/docs/cli/']
+      });
     }
 
+    // Keep other runs out until this one has finished writing (a dry run writes nothing)
+    lock = options.dryRun ? null : await acquireLock(kiroDir, options.command || 'install');
+
     // 2. Check for existing installation (before any prompts)
-    const steeringDir = path.join(KIRO_DIR, 'steering', 'superclaude');
+    const steeringDir = path.join(kiroDir, 'steering', 'superclaude');
     if (await fs.pathExists(steeringDir) && !options.force) {
-      console.log(chalk.red('\n  SuperClaude already installed.'));
-      console.log(chalk.yellow('\n  To overwrite, run:'));
-      console.log(chalk.cyan('    npx superclaude-kiro install --force'));
-      process.exit(1);
+      throw new AlreadyInstalledError(`SuperClaude already installed (${scope} scope).`, {
+        text: 'To overwrite, run:',
+        commands: [`npx superclaude-kiro install --force${scopeFlag(scope)}`]
+      });
     }
 
-    // 3. Verify dist directory exists
-    if (!await fs.pathExists(DIST_DIR)) {
-      console.log(chalk.red('\n  Distribution files not found.'));
-      console.log(chalk.yellow('\n  Package may be corrupted. Try reinstalling:'));
-      console.log(chalk.cyan('    npm cache clean --force'));
-      console.log(chalk.cyan('    npx superclaude-kiro@latest install'));
-      process.exit(1);
+    // Registry entries that could not be used were skipped; say which
+    for (const message of [...getRegistryWarnings(), ...getProfileWarnings()]) {
+      report('warning', message);
     }
 
-    // 4. Determine MCP server selection and API keys
-    let selectedServers = options.servers || null;
-    let apiKeys = options.apiKeys || {};
+    // 3. Verify dist directory exists (an offline bundle brings its own)
+    bundle = options.fromBundle ? await openBundle(options.fromBundle) : null;
+    let distDir = bundle?.distDir || DIST_DIR;
+    if (!await fs.pathExists(distDir)) {
+      throw new PackageError('Distribution files not found.', {
+        text: 'Package may be corrupted. Try reinstalling:',
+        commands: ['npm cache clean --force', 'npx superclaude-kiro@latest install']
+      });
+    }
+
+    // mcp.json and cli.json must parse before anything is merged into them
+    const settingsBackups = await checkSettingsFiles(kiroDir, { interactive: canPrompt && !options.dryRun });
+    for (const backupPath of settingsBackups) {
+      report('warning', `Saved the unreadable file to ${backupPath}; a new one will be created.`);
+    }
+
+    // 4. Load the team config; it answers the prompts it covers
+    const configPath = options.config === false ? null : options.config || await findTeamConfig();
+    const teamConfig = configPath ? await loadTeamConfig(configPath) : null;
+    if (teamConfig) {
+      report('info', `Using team config: ${teamConfig.path}`);
+    }
+
+    // A profile presets servers, commands and default agent. --profile wins over the
+    // team config's fields; a profile named in the file or recorded at install loses to them
+    const profileName = options.profile || teamConfig?.profile || options.recordedProfile || null;
+    const profile = profileName ? getProfile(profileName) : null;
+    const preset = options.profile
+      ? { ...teamConfig, ...profile }
+      : { ...profile, ...teamConfig };
+    preset.apiKeyEnv = teamConfig?.apiKeyEnv || {};
+
+    // A bundle fixes the servers (and the profile settings it was created with)
+    if (bundle) {
+      const { mcpServers, commands, defaultAgent } = bundle.info;
+      Object.assign(preset, { mcpServers }, commands ? { commands } : {}, defaultAgent ? { defaultAgent } : {});
+      report('info', `Installing from bundle: ${bundle.file} (superclaude-kiro ${bundle.info.version})`);
+    }
+
+    // Steering commands to install (null: all); the presets win over a recorded subset
+    const commands = preset.commands || (profile ? null : options.commands) || null;
+    if (commands) {
+      const available = (await listDistFiles(null, distDir))
+        .filter(file => file.startsWith('steering/'))
+        .map(file => path.basename(file, '.md'));
+      const unknown = commands.filter(command => !available.includes(command));
+      if (unknown.length > 0) {
+        throw new ConfigError(`Unknown command(s): ${unknown.join(', ')}`);
+      }
+
+      // #sc-help and the agents list only the commands that are installed
+      stagedDir = await stageCommandSubset(distDir, commands);
+      distDir = stagedDir || distDir;
+    }
+
+    const keyStorage = resolveKeyStorage(scope, options.keyStorage || teamConfig?.keyStorage, options.recordedKeyStorage);
+
+    // 5. Determine MCP server selection and API keys
+    // options.servers: the API caller's selection; options.recordedServers: the one
+    // recorded by a previous install (update), whose registry servers may since be gone
+    const unknownServers = (options.servers || []).filter(name => !getMcpServers()[name]);
+    if (unknownServers.length > 0) {
+      throw new ConfigError(`Unknown MCP server(s): ${unknownServers.join(', ')} (available: ${Object.keys(getMcpServers()).join(', ')})`);
+    }
+    const recordedServers = options.recordedServers?.filter(name => {
+      if (getMcpServers()[name]) return true;
+      report('warning', `Skipping ${name}: no longer defined (was it removed from a registry file?).`);
+      return false;
+    });
+    let selectedServers = options.servers || recordedServers || null;
+    let apiKeys = { ...(options.apiKeys || {}) };
+    const baseServers = preset.mcpServers || selectedServers || getCoreServers();
 
     // Handle MCP configuration based on options
     if (options.mcp !== false) {
       // If --minimal flag, use only core servers
       if (options.minimal) {
-        selectedServers = CORE_SERVERS;
+        selectedServers = getCoreServers();
       }
       // If --morph-api-key provided via CLI
       else if (options.morphApiKey) {
-        selectedServers = [...CORE_SERVERS, 'morphllm-fast-apply'];
+        selectedServers = [...new Set([...baseServers, 'morphllm-fast-apply'])];
         apiKeys['morphllm-fast-apply'] = options.morphApiKey;
       }
       // If --with-morph flag, prompt for API key
       else if (options.withMorph) {
-        selectedServers = [...CORE_SERVERS, 'morphllm-fast-apply'];
-        if (isInteractive()) {
+        selectedServers = [...new Set([...baseServers, 'morphllm-fast-apply'])];
+        if (canPrompt) {
           const morphKey = await promptMorphApiKeyQuick();
           if (morphKey) {
             apiKeys['morphllm-fast-apply'] = morphKey;
           } else {
             // User didn't provide key, remove morphllm from selection
-            selectedServers = CORE_SERVERS;
-            console.log(chalk.gray('\n  Skipping MorphLLM (no API key provided).\n'));
+            selectedServers = baseServers;
+            report('info', 'Skipping MorphLLM (no API key provided).');
           }
         } else {
-          console.log(chalk.yellow('\n  Warning: --with-morph requires interactive mode or --morph-api-key'));
-          selectedServers = CORE_SERVERS;
+          report('warning', 'Warning: --with-morph requires interactive mode or --morph-api-key');
+          selectedServers = baseServers;
+        }
+      }
+      // If the team config declares the servers, use them without prompting
+      else if (preset.mcpServers) {
+        selectedServers = preset.mcpServers;
+
+        for (const serverName of selectedServers.filter(s => getApiKeyServers().includes(s))) {
+          const envVar = preset.apiKeyEnv[serverName];
+          // With env storage, a reference to the team's variable is all mcp.json needs
+          const key = (keyStorage === 'env' && envVar ? toEnvReference(envVar) : null)
+            || apiKeys[serverName]
+            || readConfiguredKey(preset, serverName)
+            || (canPrompt ? await promptApiKey(serverName) : null);
+          if (key) {
+            apiKeys[serverName] = key;
+          } else if (!await hasConfiguredKey(kiroDir, serverName)) {
+            selectedServers = selectedServers.filter(s => s !== serverName);
+            report('warning', `Skipping ${getMcpServers()[serverName].displayName}: ${envVar ? `${envVar} is not set` : 'no API key provided'}.`);
+          }
         }
       }
       // If interactive and no specific flags, show selection UI
-      else if (options.interactive !== false && isInteractive()) {
+      else if (canPrompt) {
         selectedServers = await selectMcpServers();
 
-        // If morphllm was selected, prompt for API key
-        if (selectedServers.includes('morphllm-fast-apply')) {
-          const morphKey = await promptMorphLLMSetup();
-          if (morphKey) {
-            apiKeys['morphllm-fast-apply'] = morphKey;
+        // Prompt for the API key of each selected server that needs one
+        for (const serverName of selectedServers.filter(s => getApiKeyServers().includes(s))) {
+          const key = readConfiguredKey(preset, serverName) || (serverName === 'morphllm-fast-apply'
+            ? await promptMorphLLMSetup()
+            : await promptApiKey(serverName));
+          if (key) {
+            apiKeys[serverName] = key;
           } else {
-            // User didn't provide key, remove morphllm from selection
-            selectedServers = selectedServers.filter(s => s !== 'morphllm-fast-apply');
+            // User didn't provide key, remove the server from selection
+            selectedServers = selectedServers.filter(s => s !== serverName);
           }
         }
 
-        await confirmInstallation(selectedServers, !!apiKeys['morphllm-fast-apply']);
+        await confirmInstallation(selectedServers, Object.keys(apiKeys).length > 0);
       }
-      // Non-interactive default: core servers only
+      // Non-interactive default: previous selection, or core servers only
       else {
-        selectedServers = CORE_SERVERS;
+        selectedServers = baseServers;
       }
     }
 
-    // Start the spinner after all prompts are done
-    const spinner = ora('Installing SuperClaude for Kiro...').start();
-
-    // 5. Create directories
-    spinner.text = 'Creating directories...';
-    await fs.ensureDir(path.join(KIRO_DIR, 'steering', 'superclaude'));
-    await fs.ensureDir(path.join(KIRO_DIR, 'agents'));
-    await fs.ensureDir(path.join(KIRO_DIR, 'settings'));
-    await fs.ensureDir(path.join(KIRO_DIR, 'docs'));
-
-    // 6. Copy steering files
-    spinner.text = 'Installing steering files...';
-    const steeringSrc = path.join(DIST_DIR, 'steering', 'superclaude');
-    if (await fs.pathExists(steeringSrc)) {
-      await fs.copy(steeringSrc, path.join(KIRO_DIR, 'steering', 'superclaude'));
-    }
-
-    // 7. Copy agents
-    spinner.text = 'Installing agents...';
-    const agentsSrc = path.join(DIST_DIR, 'agents');
-    if (await fs.pathExists(agentsSrc)) {
-      const agents = await fs.readdir(agentsSrc);
-      for (const agent of agents) {
-        if (agent.endsWith('.json')) {
-          await fs.copy(
-            path.join(agentsSrc, agent),
-            path.join(KIRO_DIR, 'agents', agent)
-          );
+    // A registry server never replaces a server of the same name the user added to mcp.json
+    if (selectedServers) {
+      const existingMcp = await readSettingsFile(path.join(kiroDir, 'settings', 'mcp.json'), { mcpServers: {} });
+      const userServers = await findUserServers(kiroDir, existingMcp);
+      for (const name of selectedServers.filter(s => userServers.includes(s))) {
+        report('warning', `Skipping ${name}: settings/mcp.json already has a server of that name; it is left as it is.`);
+      }
+      selectedServers = selectedServers.filter(s => !userServers.includes(s));
+    }
+
+    // Unless stored in plain text, mcp.json only gets a ${VAR} reference to each key
+    const secretsToWrite = {};
+    const referencedVars = [];
+    if (keyStorage !== 'plaintext') {
+      for (const [serverName, key] of Object.entries(apiKeys)) {
+        const envVar = preset.apiKeyEnv[serverName] || getMcpServers()[serverName]?.apiKeyEnvVar;
+        if (!envVar) continue;
+        if (keyStorage === 'secrets') {
+          secretsToWrite[envVar] = key;
         }
+        apiKeys[serverName] = toEnvReference(envVar);
+        referencedVars.push(envVar);
+      }
+    }
+
+    // cli.json holds user-level Kiro settings, so project installs leave it alone
+    const setDefault = options.default !== false && preset.defaultAgent !== false && scope === 'global';
+    const defaultAgent = typeof preset.defaultAgent === 'string' ? preset.defaultAgent : 'superclaude';
+    if (setDefault && !await fs.pathExists(path.join(distDir, 'agents', `${defaultAgent}.json`))) {
+      throw new ConfigError(`Unknown default agent "${defaultAgent}"`);
+    }
+    if (setDefault && !(await listDistFiles(commands, distDir)).includes(`agents/${defaultAgent}.json`)) {
+      throw new ConfigError(`Default agent "${defaultAgent}" needs the ${defaultAgent} command, which is not in the installed commands`);
+    }
+    const cliOverrides = scope === 'global' ? teamConfig?.cliSettings || {} : {};
+    if (scope !== 'global' && Object.keys(teamConfig?.cliSettings || {}).length > 0) {
+      report('warning', 'cliSettings from the team config only apply to global installs.');
+    }
+
+    // Servers run from a local copy instead of npx: from this bundle, or recorded by a bundle install
+    const serverConfigs = bundle
+      ? bundledServerConfigs(bundle, kiroDir, selectedServers || [])
+      : options.recordedServerConfigs || {};
+
+    // Dry run: report what would change, then stop before the first write
+    if (options.dryRun) {
+      const plan = await planInstall(kiroDir, selectedServers, apiKeys, {
+        mcp: options.mcp !== false,
+        setDefault,
+        defaultAgent,
+        cliOverrides,
+        commands,
+        distDir,
+        serverConfigs,
+        bundledServers: bundle ? Object.keys(serverConfigs) : [],
+        preserveEdits: options.preserveEdits,
+        writesSecrets: Object.keys(secretsToWrite).length > 0
+      });
+      return { dryRun: true, scope, kiroDir, plan, warnings };
+    }
+
+    report('step', 'Installing SuperClaude for Kiro...');
+
+    // Snapshot everything this run may change before the first write
+    const previousVersionInfo = await readVersionInfo(kiroDir);
+    const replacedServers = Object.keys(bundle ? serverConfigs : {}).map(name => `${BUNDLED_SERVERS_DIR}/${name}`);
+    transaction = await beginTransaction(kiroDir, [...TRANSACTION_PATHS, ...replacedServers]);
+
+    // 6. Create directories
+    report('step', 'Creating directories...');
+    await fs.ensureDir(path.join(kiroDir, 'steering', 'superclaude'));
+    await fs.ensureDir(path.join(kiroDir, 'agents'));
+    await fs.ensureDir(path.join(kiroDir, 'settings'));
+    await fs.ensureDir(path.join(kiroDir, 'docs'));
+
+    // 7. Copy steering files; on update, merge in files the user edited since the last install
+    report('step', 'Installing steering files...');
+    const version = bundle?.info.version || require('../package.json').version;
+    const installedFiles = await listDistFiles(commands, distDir);
+    const steeringToInstall = installedFiles.filter(f => f.startsWith('steering/'));
+    const localEdits = options.preserveEdits
+      ? await findLocalEdits(kiroDir, previousVersionInfo?.manifest, steeringToInstall)
+      : [];
+    const mergeResults = { merged: [], conflicts: [], kept: [], orig: [] };
+    for (const file of steeringToInstall) {
+      if (localEdits.includes(file)) {
+        mergeResults[await mergeLocalEdits(kiroDir, file, version, distDir)].push(file);
+      } else {
+        await fs.copy(path.join(distDir, file), path.join(kiroDir, file));
       }
     }
 
-    // 8. Configure MCP servers (with selected servers)
+    // Keep the packaged versions as the base for the next update's merge
+    await fs.remove(path.join(kiroDir, BASE_DIR));
+    for (const file of steeringToInstall) {
+      await fs.copy(path.join(distDir, file), path.join(kiroDir, BASE_DIR, file));
+    }
+
+    // 8. Copy agents
+    report('step', 'Installing agents...');
+    for (const file of installedFiles.filter(f => f.startsWith('agents/'))) {
+      await fs.copy(path.join(distDir, file), path.join(kiroDir, file));
+    }
+
+    // Remove files the previous install created that are no longer shipped (unless edited)
+    report('step', 'Removing stale files...');
+    const staleFiles = await findStaleFiles(kiroDir, previousVersionInfo?.manifest, installedFiles);
+    for (const file of staleFiles.remove) {
+      await fs.remove(path.join(kiroDir, file));
+    }
+
+    // 9. Configure MCP servers (with selected servers)
+    const changedSettings = {};
+    const originals = {};
     if (options.mcp !== false && selectedServers) {
-      spinner.text = 'Configuring MCP servers...';
-      await configureMcpServers(selectedServers, apiKeys);
+      report('step', 'Configuring MCP servers...');
+      if (bundle) {
+        await installBundledServers(bundle, kiroDir, selectedServers);
+      }
+      const mcpResult = await configureMcpServers(kiroDir, selectedServers, apiKeys, serverConfigs);
+      changedSettings['settings/mcp.json'] = mcpResult.changed;
+      originals['settings/mcp.json'] = mcpResult.originals;
     }
 
-    // 9. Set default agent (optional)
-    if (options.default !== false) {
-      spinner.text = 'Setting default agent...';
-      await setDefaultAgent();
+    // 10. Set default agent and team cli.json overrides (optional)
+    if (setDefault || Object.keys(cliOverrides).length > 0) {
+      report('step', 'Configuring Kiro settings...');
+      const cliResult = await configureCliSettings(kiroDir, { setDefault, defaultAgent, overrides: cliOverrides });
+      changedSettings['settings/cli.json'] = cliResult.changed;
+      originals['settings/cli.json'] = cliResult.originals;
     }
 
-    // 10. Create version file
-    spinner.text = 'Finalizing installation...';
-    const pkg = require('../package.json');
+    // 11. Create version file (keeping pre-install values recorded by an earlier install).
+    // Hashes are taken from the package, so merged files still count as locally edited.
+    report('step', 'Finalizing installation...');
+    const source = bundle ? `bundle:${bundle.file}` : 'npm:superclaude-kiro';
+    const previousOriginals = previousVersionInfo?.manifest?.originals;
     await fs.writeJson(
-      path.join(KIRO_DIR, 'docs', 'superclaude-version.json'),
+      path.join(kiroDir, 'docs', 'superclaude-version.json'),
       {
-        version: pkg.version,
+        version,
         installedAt: new Date().toISOString(),
-        source: 'npm:superclaude-kiro',
-        mcpServers: selectedServers || []
+        source,
+        scope,
+        mcpServers: selectedServers || [],
+        keyStorage,
+        ...(profile ? { profile: profile.name } : {}),
+        ...(commands ? { commands } : {}),
+        ...(setDefault ? { defaultAgent } : {}),
+        ...(Object.keys(cliOverrides).length > 0 ? { cliSettings: cliOverrides } : {}),
+        ...(Object.keys(serverConfigs).length > 0 ? { serverConfigs } : {}),
+        manifest: await buildManifest(
+          distDir,
+          installedFiles,
+          changedSettings,
+          mergeOriginals(previousOriginals, originals)
+        )
       },
       { spaces: 2 }
     );
 
-    // Count installed files
-    const steeringFiles = await countFiles(path.join(KIRO_DIR, 'steering', 'superclaude'), '.md');
-    const agentFiles = await countFiles(path.join(KIRO_DIR, 'agents'), '.json', 'sc-');
+    // 12. Store API keys in the secrets file; it is user-level even for a project
+    // install, so it gets a snapshot of its own
+    if (Object.keys(secretsToWrite).length > 0) {
+      report('step', 'Storing API keys...');
+      secretsTransaction = await beginTransaction(getKiroDir(), [SECRETS_FILE]);
+      for (const [envVar, key] of Object.entries(secretsToWrite)) {
+        await writeSecret(envVar, key);
+      }
+    }
 
-    spinner.succeed(chalk.green('SuperClaude installed successfully!'));
+    await transaction.commit();
+    await secretsTransaction?.commit();
 
-    console.log('');
-    console.log(chalk.gray('  Installed:'));
-    console.log(chalk.gray(`    - ${steeringFiles} steering files`));
-    console.log(chalk.gray(`    - ${agentFiles + 1} agents`));
-    if (selectedServers) {
-      console.log(chalk.gray(`    - ${selectedServers.length} MCP servers`));
+    const online = bundle && selectedServers ? needsNetwork(bundle.info, selectedServers) : [];
+    if (online.length > 0) {
+      report('warning', `Not in the bundle, downloaded on first start: ${online.join(', ')}`);
     }
-    console.log('');
-    console.log(chalk.cyan('Quick Start:'));
-    console.log('  1. Run: ' + chalk.yellow('kiro-cli chat'));
-    console.log('  2. Try: ' + chalk.yellow('#sc-help'));
-    console.log('');
+
+    return {
+      dryRun: false,
+      scope,
+      kiroDir,
+      version,
+      source,
+      profile: profile?.name || null,
+      files: {
+        installed: installedFiles,
+        localEdits: mergeResults,
+        removed: staleFiles.remove,
+        staleKept: staleFiles.keep
+      },
+      mcpServers: selectedServers || [],
+      settings: changedSettings,
+      defaultAgent: { name: defaultAgent, set: setDefault },
+      keyStorage,
+      referencedVars,
+      secretsFile: Object.keys(secretsToWrite).length > 0 ? getSecretsPath() : null,
+      warnings
+    };
 
   } catch (error) {
-    console.log(chalk.red('\n  Installation failed: ' + error.message));
-    process.exit(1);
+    if (transaction) {
+      try {
+        await secretsTransaction?.rollback();
+        await transaction.rollback();
+        error.rollback = { restored: true };
+      } catch (rollbackError) {
+        error.rollback = { restored: false, backupDir: transaction.backupDir, error: rollbackError };
+      }
+    }
+    throw error;
+  } finally {
+    if (stagedDir) await fs.remove(stagedDir);
+    await bundle?.cleanup();
+    lock?.release();
   }
 }
 
+/**
+ * Reinstall the current package over an existing installation, keeping its
+ * server selection, profile, key storage and local edits of steering files
+ * @param {Object} [options] - As for installSuperClaude
+ * @returns {Promise<Object>} Install result
+ * @throws {NotInstalledError} When SuperClaude is not installed in the scope
+ */
 export async function updateSuperClaude(options = {}) {
-  const spinner = ora('Checking for updates...').start();
-
-  try {
-    // Check if installed
-    const versionFile = path.join(KIRO_DIR, 'docs', 'superclaude-version.json');
-    if (!await fs.pathExists(versionFile)) {
-      spinner.fail(chalk.red('SuperClaude is not installed.'));
-      console.log(chalk.yellow('\nTo install, run:'));
-      console.log(chalk.cyan('  npx superclaude-kiro install'));
-      process.exit(1);
-    }
-
-    // Read existing version info to preserve MCP server selections
-    const versionInfo = await fs.readJson(versionFile);
-    const existingServers = versionInfo.mcpServers || CORE_SERVERS;
-
-    // Stop this spinner before installSuperClaude starts its own
-    spinner.stop();
-
-    // Perform fresh install with force, preserving server selection
-    await installSuperClaude({
-      force: true,
-      mcp: true,
-      default: true,
-      servers: existingServers,
-      interactive: false, // Don't re-prompt during update
-      ...options
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  createReport(options.onEvent)('step', 'Checking for updates...');
+
+  // Check if installed
+  const versionFile = path.join(kiroDir, 'docs', 'superclaude-version.json');
+  if (!await fs.pathExists(versionFile)) {
+    throw new NotInstalledError(`SuperClaude is not installed (${scope} scope).`, {
+      text: 'To install, run:',
+      commands: [`npx superclaude-kiro install${scopeFlag(scope)}`]
     });
-
-  } catch (error) {
-    spinner.fail(chalk.red('Update failed: ' + error.message));
-    process.exit(1);
   }
+
+  // Read existing version info to preserve MCP server selections
+  const versionInfo = await fs.readJson(versionFile);
+
+  // Perform fresh install with force, preserving server selection
+  return await installSuperClaude({
+    force: true,
+    mcp: true,
+    default: true,
+    interactive: false, // Don't re-prompt during update
+    preserveEdits: true,
+    ...options,
+    commands: versionInfo.commands,
+    recordedServers: versionInfo.mcpServers || getCoreServers(),
+    recordedProfile: versionInfo.profile,
+    recordedKeyStorage: versionInfo.keyStorage,
+    recordedServerConfigs: versionInfo.serverConfigs,
+    command: 'update',
+    scope
+  });
 }
 
+/**
+ * Remove SuperClaude from a Kiro directory
+ * @param {Object} [options]
+ * @param {string} [options.scope='global'] - global or project
+ * @param {boolean} [options.purgeMcp] - Also remove the MCP servers SuperClaude added
+ * @param {Function} [options.onEvent] - Progress callback, as for installSuperClaude
+ * @returns {Promise<Object>} What was removed and restored
+ * @throws {NotInstalledError} When SuperClaude is not installed in the scope
+ */
 export async function uninstallSuperClaude(options = {}) {
-  const spinner = ora('Uninstalling SuperClaude...').start();
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  const report = createReport(options.onEvent);
+  report('step', 'Uninstalling SuperClaude...');
+
+  // Check if installed
+  const steeringDir = path.join(kiroDir, 'steering', 'superclaude');
+  if (!await fs.pathExists(steeringDir)) {
+    throw new NotInstalledError(`SuperClaude is not installed (${scope} scope).`);
+  }
 
+  const lock = await acquireLock(kiroDir, 'uninstall');
   try {
-    // Check if installed
-    const steeringDir = path.join(KIRO_DIR, 'steering', 'superclaude');
-    if (!await fs.pathExists(steeringDir)) {
-      spinner.fail(chalk.red('SuperClaude is not installed.'));
-      process.exit(1);
-    }
+    const versionInfo = await readVersionInfo(kiroDir);
+    const manifestFiles = Object.keys(versionInfo?.manifest?.files || {});
 
     // Remove steering files
-    spinner.text = 'Removing steering files...';
+    report('step', 'Removing steering files...');
     await fs.remove(steeringDir);
 
-    // Remove agents
-    spinner.text = 'Removing agents...';
-    const agents = ['superclaude.json', 'sc-pm.json', 'sc-implement.json', 'sc-analyze.json'];
+    // Remove agents recorded in the manifest (older installs: the known agent set)
+    report('step', 'Removing agents...');
+    const agents = manifestFiles.length > 0
+      ? manifestFiles.filter(f => f.startsWith('agents/')).map(f => path.basename(f))
+      : LEGACY_AGENTS;
+    const removedAgents = [];
     for (const agent of agents) {
-      const agentPath = path.join(KIRO_DIR, 'agents', agent);
+      const agentPath = path.join(kiroDir, 'agents', agent);
       if (await fs.pathExists(agentPath)) {
         await fs.remove(agentPath);
+        removedAgents.push(`agents/${agent}`);
       }
     }
 
     // Remove version file
-    spinner.text = 'Cleaning up...';
-    await fs.remove(path.join(KIRO_DIR, 'docs', 'superclaude-version.json'));
-
-    // Reset default agent if it was superclaude
-    const cliSettingsPath = path.join(KIRO_DIR, 'settings', 'cli.json');
+    report('step', 'Cleaning up...');
+    await fs.remove(path.join(kiroDir, 'docs', 'superclaude-version.json'));
+    await fs.remove(path.join(kiroDir, BASE_DIR));
+
+    // Put cli.json keys back to their pre-install values
+    report('step', 'Restoring settings...');
+    const originals = versionInfo?.manifest?.originals || {};
+    const cliSettingsPath = path.join(kiroDir, 'settings', 'cli.json');
+    const restoredSettings = [];
     if (await fs.pathExists(cliSettingsPath)) {
-      const settings = await fs.readJson(cliSettingsPath);
-      if (settings['chat.defaultAgent'] === 'superclaude') {
+      const settings = await readSettingsFile(cliSettingsPath);
+      if (originals['settings/cli.json']) {
+        for (const [pointer, original] of Object.entries(originals['settings/cli.json'])) {
+          // Leave keys the user has changed since the install
+          const current = getPointer(settings, pointer).value;
+          if (JSON.stringify(current) === JSON.stringify(original.installed)) {
+            restorePointer(settings, pointer, original);
+            restoredSettings.push(`settings/cli.json#${pointer}`);
+          }
+        }
+      } else if (settings['chat.defaultAgent'] === 'superclaude') {
+        // Installed by an older version: only the default agent is known to be ours
         delete settings['chat.defaultAgent'];
-        await fs.writeJson(cliSettingsPath, settings, { spaces: 2 });
+        restoredSettings.push(`settings/cli.json#${toPointer('chat.defaultAgent')}`);
       }
+      await writeSettingsFile(cliSettingsPath, settings);
     }
 
-    spinner.succeed(chalk.green('SuperClaude uninstalled successfully!'));
-    console.log('');
-    console.log(chalk.gray('  Note: MCP server configurations were preserved.'));
-    console.log('');
+    // Remove MCP servers SuperClaude added, restore user servers it replaced
+    let purged = null;
+    if (options.purgeMcp && originals['settings/mcp.json']) {
+      report('step', 'Removing MCP servers...');
+      purged = await purgeMcpServers(kiroDir, originals['settings/mcp.json']);
+    }
+    if (options.purgeMcp) {
+      await fs.remove(path.join(kiroDir, BUNDLED_SERVERS_DIR));
+    }
 
-  } catch (error) {
-    spinner.fail(chalk.red('Uninstall failed: ' + error.message));
-    process.exit(1);
+    return {
+      scope,
+      kiroDir,
+      files: {
+        removed: ['steering/superclaude', ...removedAgents, VERSION_FILE, BASE_DIR]
+      },
+      restoredSettings,
+      // null: servers kept; otherwise the servers removed and the user configs restored
+      mcpServers: purged,
+      // purgeMcp was asked for, but the install predates recording which servers it added
+      mcpUnrecorded: !!options.purgeMcp && !purged
+    };
+  } finally {
+    lock.release();
   }
 }
 
-export async function getStatus() {
+// Exit codes of `status`
+const STATUS_EXIT_CODES = { installed: 0, degraded: 1, 'not-installed': 2, 'kiro-missing': 2 };
+
+export async function getStatus(options = {}) {
+  const status = await collectStatus(options);
+  process.exitCode = STATUS_EXIT_CODES[status.status];
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+    return;
+  }
+
   console.log('');
   console.log(chalk.bold('  SuperClaude for Kiro'));
   console.log(chalk.gray('  ' + '─'.repeat(30)));
 
-  // Check Kiro CLI
-  if (!await fs.pathExists(KIRO_DIR)) {
+  if (status.status === 'kiro-missing') {
     console.log(chalk.red('  Status:      Not installed (Kiro CLI missing)'));
     console.log('');
     return;
   }
 
-  // Check installation
-  const versionFile = path.join(KIRO_DIR, 'docs', 'superclaude-version.json');
-  const steeringDir = path.join(KIRO_DIR, 'steering', 'superclaude');
-
-  if (!await fs.pathExists(versionFile) || !await fs.pathExists(steeringDir)) {
-    console.log(chalk.yellow('  Status:      Not installed'));
+  if (status.status === 'not-installed') {
+    console.log(chalk.yellow(`  Status:      Not installed (${status.scope} scope)`));
     console.log('');
     console.log(chalk.gray('  To install:'));
-    console.log(chalk.cyan('    npx superclaude-kiro install'));
+    console.log(chalk.cyan(`    npx superclaude-kiro install${scopeFlag(status.scope)}`));
     console.log('');
     return;
   }
 
-  // Read version info
-  const versionInfo = await fs.readJson(versionFile);
-  const installedDate = new Date(versionInfo.installedAt).toLocaleDateString();
-
-  console.log(chalk.green('  Status:      Installed'));
-  console.log(chalk.white(`  Version:     ${versionInfo.version}`));
-  console.log(chalk.gray(`  Installed:   ${installedDate}`));
+  console.log(status.status === 'installed'
+    ? chalk.green('  Status:      Installed')
+    : chalk.red('  Status:      Degraded'));
+  console.log(chalk.white(`  Version:     ${status.version || 'unknown'}`));
+  if (status.installedAt) {
+    console.log(chalk.gray(`  Installed:   ${new Date(status.installedAt).toLocaleDateString()}`));
+  }
+  console.log(chalk.gray(`  Scope:       ${status.scope} (${status.kiroDir})`));
+  if (status.profile) {
+    console.log(chalk.gray(`  Profile:     ${status.profile}`));
+  }
+  if (status.shadowsGlobal) {
+    console.log(chalk.yellow(`  Warning:     Project install shadows global install at ${getKiroDir()}`));
+  }
   console.log('');
 
-  // Count components
-  const steeringFiles = await countFiles(steeringDir, '.md');
-  const agentFiles = await countFiles(path.join(KIRO_DIR, 'agents'), '.json', 'sc-');
-
   console.log(chalk.gray('  Components:'));
-  console.log(chalk.green(`    ✔ Steering files (${steeringFiles})`));
-  console.log(chalk.green(`    ✔ Agents (${agentFiles + 1})`));
+  console.log(status.steeringFiles > 0
+    ? chalk.green(`    ✔ Steering files (${status.steeringFiles})`)
+    : chalk.red('    ✖ Steering files (0)'));
+  console.log(chalk.green(`    ✔ Agents (${status.agents})`));
 
-  // Check MCP servers
-  const mcpPath = path.join(KIRO_DIR, 'settings', 'mcp.json');
-  if (await fs.pathExists(mcpPath)) {
-    const mcpConfig = await fs.readJson(mcpPath);
-    const mcpCount = Object.keys(mcpConfig.mcpServers || {}).length;
-    const installedServers = versionInfo.mcpServers || [];
-
-    console.log(chalk.green(`    ✔ MCP servers (${mcpCount})`));
+  const configured = status.mcpServers.filter(server => server.configured);
+  if (configured.length > 0) {
+    console.log(chalk.green(`    ✔ MCP servers (${configured.length})`));
 
     // Show which servers are installed
-    if (installedServers.length > 0) {
+    const managed = status.mcpServers.filter(server => server.managed);
+    if (managed.length > 0) {
       console.log(chalk.gray('      Installed:'));
-      for (const serverName of installedServers) {
-        const server = MCP_SERVERS[serverName];
-        const displayName = server?.displayName || serverName;
-        console.log(chalk.gray(`        - ${displayName}`));
+      for (const server of managed) {
+        const displayName = getMcpServers()[server.name]?.displayName || server.name;
+        console.log(server.configured
+          ? chalk.gray(`        - ${displayName}`)
+          : chalk.red(`        - ${displayName} (missing from mcp.json)`));
       }
     }
 
-    // Check if morphllm is configured
-    if (mcpConfig.mcpServers?.['morphllm-fast-apply']) {
-      const hasApiKey = mcpConfig.mcpServers['morphllm-fast-apply']?.env?.MORPH_API_KEY;
-      if (hasApiKey && !hasApiKey.startsWith('${')) {
-        console.log(chalk.green('    ✔ MorphLLM API key configured'));
+    // API keys of configured servers that need one
+    for (const server of status.mcpServers.filter(entry => entry.configured && entry.requiresApiKey)) {
+      const displayName = getMcpServers()[server.name].displayName;
+      const envVar = server.keyReference;
+      if (!server.hasKey) {
+        console.log(chalk.yellow(`    ○ ${displayName} needs API key`));
+      } else if (server.keyStorage === 'plaintext') {
+        console.log(chalk.green(`    ✔ ${displayName} API key configured`));
+      } else if (server.keyResolves) {
+        console.log(chalk.green(`    ✔ ${displayName} API key: \${${envVar}} resolves (${server.keyStorage})`));
+      } else if (server.keyStorage === 'secrets') {
+        console.log(chalk.yellow(`    ○ ${displayName} API key: \${${envVar}} is in the secrets file but not exported`));
+        console.log(chalk.gray(`        Run: source ${getSecretsPath()}`));
       } else {
-        console.log(chalk.yellow('    ○ MorphLLM needs API key'));
+        console.log(chalk.yellow(`    ○ ${displayName} API key: \${${envVar}} is not set in this environment`));
       }
     }
   } else {
     console.log(chalk.yellow('    ○ MCP servers (not configured)'));
   }
 
-  // Check default agent
-  const cliSettingsPath = path.join(KIRO_DIR, 'settings', 'cli.json');
-  if (await fs.pathExists(cliSettingsPath)) {
-    const settings = await fs.readJson(cliSettingsPath);
-    if (settings['chat.defaultAgent'] === 'superclaude') {
-      console.log(chalk.green('    ✔ Default agent: superclaude'));
-    } else {
-      console.log(chalk.yellow(`    ○ Default agent: ${settings['chat.defaultAgent'] || 'none'}`));
+  // Default agent (user-level setting)
+  const { expected, actual } = status.defaultAgent;
+  if (expected && actual === expected) {
+    console.log(chalk.green(`    ✔ Default agent: ${actual}`));
+  } else {
+    console.log(chalk.yellow(`    ○ Default agent: ${actual || 'none'}`));
+  }
+
+  if (status.files.modified.length > 0) {
+    console.log(chalk.yellow(`    ○ ${status.files.modified.length} installed file(s) modified (see: npx superclaude-kiro verify${scopeFlag(status.scope)})`));
+  }
+
+  if (status.problems.length > 0) {
+    console.log('');
+    for (const problem of status.problems) {
+      console.log(chalk.red(`  ✖ ${problem}`));
     }
+    console.log(chalk.gray(`  To fix, run: npx superclaude-kiro repair${scopeFlag(status.scope)}`));
   }
 
   console.log('');
 }
 
+/**
+ * Collect installation status (the schema printed by `status --json`)
+ *
+ * status is 'installed', 'degraded' (problems lists why), 'not-installed' or
+ * 'kiro-missing'; warnings are worth a look but do not degrade the install.
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Scope to inspect (default: project install if present)
+ * @returns {Promise<Object>}
+ */
+export async function collectStatus(options = {}) {
+  const status = {
+    schemaVersion: 1,
+    status: 'not-installed',
+    problems: [],
+    warnings: [],
+    version: null,
+    installedAt: null,
+    scope: null,
+    kiroDir: null,
+    profile: null,
+    shadowsGlobal: false,
+    steeringFiles: 0,
+    agents: 0,
+    files: { missing: [], modified: [] },
+    mcpServers: [],
+    defaultAgent: { expected: null, actual: null }
+  };
+
+  if (!await fs.pathExists(getKiroDir())) {
+    status.status = 'kiro-missing';
+    return status;
+  }
+
+  // Resolve scope: explicit flag, otherwise a project install takes precedence
+  const globalInstalled = await isInstalledAt(resolveKiroDir('global'));
+  const projectInstalled = resolveKiroDir('project') !== resolveKiroDir('global') &&
+    await isInstalledAt(resolveKiroDir('project'));
+  status.scope = options.scope || (projectInstalled ? 'project' : 'global');
+  status.kiroDir = resolveKiroDir(status.scope);
+
+  const kiroDir = status.kiroDir;
+  if (!await isInstalledAt(kiroDir)) {
+    return status;
+  }
+
+  // An unreadable version file degrades the install; the files can still be counted
+  let versionInfo;
+  try {
+    versionInfo = await readVersionInfo(kiroDir);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    status.problems.push(`Version file is not valid JSON: ${error.message}`);
+    versionInfo = {};
+  }
+  status.status = 'installed';
+  status.version = versionInfo.version || null;
+  status.installedAt = versionInfo.installedAt || null;
+  status.profile = versionInfo.profile || null;
+  status.shadowsGlobal = status.scope === 'project' && globalInstalled;
+
+  // Components
+  status.steeringFiles = await countFiles(path.join(kiroDir, 'steering', 'superclaude'), '.md');
+  status.agents = await countFiles(path.join(kiroDir, 'agents'), '.json', 'sc-') +
+    (await fs.pathExists(path.join(kiroDir, 'agents', 'superclaude.json')) ? 1 : 0);
+  if (status.steeringFiles === 0) {
+    status.problems.push('No steering files installed');
+  }
+
+  // A settings file that does not parse is reported instead of read
+  const readSettings = async (filePath) => {
+    try {
+      return await readSettingsFile(filePath);
+    } catch (error) {
+      if (!(error instanceof SettingsFileError)) throw error;
+      status.problems.push(error.message);
+      return {};
+    }
+  };
+  const mcpPath = path.join(kiroDir, 'settings', 'mcp.json');
+  const cliSettingsPath = path.join(getKiroDir(), 'settings', 'cli.json');
+  const mcpConfig = await readSettings(mcpPath);
+  const cliSettings = await readSettings(cliSettingsPath);
+
+  if (versionInfo.manifest) {
+    const result = await verifyManifest(kiroDir, versionInfo.manifest);
+    status.files = { missing: result.missing, modified: result.modified };
+    if (result.missing.length > 0) {
+      status.problems.push(`${result.missing.length} installed file(s) missing`);
+    }
+    if (result.modified.length > 0) {
+      status.warnings.push(`${result.modified.length} installed file(s) modified`);
+    }
+  }
+
+  // MCP servers: everything in mcp.json plus what SuperClaude recorded adding
+  const configuredServers = mcpConfig.mcpServers || {};
+  const selected = versionInfo.mcpServers || [];
+  const secrets = await readSecrets();
+
+  for (const name of [...new Set([...selected, ...Object.keys(configuredServers)])]) {
+    const config = configuredServers[name];
+    const envVar = getMcpServers()[name]?.apiKeyEnvVar;
+    const entry = {
+      name,
+      configured: !!config,
+      managed: selected.includes(name),
+      disabled: !!config?.disabled,
+      requiresApiKey: !!getMcpServers()[name]?.requiresApiKey,
+      hasKey: null,
+      keyStorage: null,
+      keyReference: null,
+      keyResolves: null
+    };
+
+    if (entry.managed && !entry.configured) {
+      status.problems.push(`MCP server ${name} is missing from mcp.json`);
+    }
+
+    if (config && entry.requiresApiKey) {
+      const key = describeKey(config.env?.[envVar], secrets);
+      entry.hasKey = key.storage !== 'plaintext' || key.resolved;
+      entry.keyStorage = entry.hasKey ? key.storage : null;
+      entry.keyReference = key.envVar || null;
+      entry.keyResolves = key.resolved;
+      if (!entry.hasKey && !entry.disabled) {
+        status.problems.push(`MCP server ${name} has no API key`);
+      } else if (!key.resolved && !entry.disabled) {
+        status.warnings.push(`\${${key.envVar}} for ${name} is not set in this environment`);
+      }
+    }
+
+    status.mcpServers.push(entry);
+  }
+
+  // Default agent (user-level setting, only set by global installs)
+  const setDefault = versionInfo.manifest
+    ? (versionInfo.manifest.settings['settings/cli.json'] || []).includes(toPointer('chat.defaultAgent'))
+    : status.scope === 'global';
+  status.defaultAgent = {
+    expected: setDefault ? versionInfo.defaultAgent || 'superclaude' : null,
+    actual: cliSettings['chat.defaultAgent'] || null
+  };
+  if (status.defaultAgent.expected && status.defaultAgent.actual !== status.defaultAgent.expected) {
+    status.warnings.push(`Default agent is ${status.defaultAgent.actual || 'not set'}, expected ${status.defaultAgent.expected}`);
+  }
+
+  if (status.problems.length > 0) {
+    status.status = 'degraded';
+  }
+  return status;
+}
+
+export async function verifyInstallation(options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+
+  try {
+    const versionInfo = await readVersionInfo(kiroDir);
+    if (!versionInfo) {
+      console.log(chalk.red(`\n  SuperClaude is not installed (${scope} scope).`));
+      process.exit(1);
+    }
+    if (!versionInfo.manifest) {
+      console.log(chalk.yellow('\n  This installation has no manifest (installed by an older version).'));
+      console.log(chalk.yellow('\n  To record one, run:'));
+      console.log(chalk.cyan(`    npx superclaude-kiro update${scopeFlag(scope)}`));
+      process.exit(1);
+    }
+
+    const result = await verifyManifest(kiroDir, versionInfo.manifest);
+    const fileCount = Object.keys(versionInfo.manifest.files).length;
+
+    console.log('');
+    console.log(chalk.bold(`  Verifying ${fileCount} files in ${kiroDir}`));
+    console.log('');
+    printVerifyGroup('Missing', result.missing, chalk.red);
+    printVerifyGroup('Modified', result.modified, chalk.yellow);
+    printVerifyGroup('Extra', result.extra, chalk.gray);
+    printVerifyGroup('Missing settings', result.missingSettings, chalk.red);
+    printVerifyGroup('Unreadable settings', result.invalidSettings, chalk.red);
+
+    const problems = result.missing.length + result.modified.length + result.missingSettings.length +
+      result.invalidSettings.length;
+    if (problems === 0) {
+      console.log(chalk.green('  ✔ Installation matches manifest'));
+      console.log('');
+      return;
+    }
+
+    console.log(chalk.yellow('  To restore, run:'));
+    console.log(chalk.cyan(`    npx superclaude-kiro repair${scopeFlag(scope)}`));
+    console.log('');
+    process.exit(1);
+
+  } catch (error) {
+    console.log(chalk.red('\n  Verify failed: ' + error.message));
+    process.exit(1);
+  }
+}
+
+export async function repairInstallation(options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  const spinner = ora('Checking installation...').start();
+  let lock = null;
+  let stagedDir = null;
+
+  try {
+    lock = await acquireLock(kiroDir, 'repair');
+
+    // Without a readable version file there is no manifest to repair from
+    const versionInfo = await readVersionInfo(kiroDir).catch(error => {
+      if (!(error instanceof SyntaxError)) throw error;
+      return null;
+    });
+    if (!versionInfo?.manifest) {
+      spinner.fail(chalk.red(`No install manifest found (${scope} scope).`));
+      console.log(chalk.yellow('\nTo reinstall, run:'));
+      console.log(chalk.cyan(`  npx superclaude-kiro install --force${scopeFlag(scope)}`));
+      process.exit(1);
+    }
+
+    const result = await verifyManifest(kiroDir, versionInfo.manifest);
+    if (result.invalidSettings.length > 0) {
+      throw new Error(`${result.invalidSettings[0]}\n  Fix the file, or rebuild it with: npx superclaude-kiro install --force${scopeFlag(scope)}`);
+    }
+    const toRestore = [...result.missing, ...result.modified];
+
+    // Restore files from the packaged dist/ (manifest paths mirror dist/ layout),
+    // with the command lists limited as at install
+    spinner.text = 'Restoring files...';
+    stagedDir = versionInfo.commands ? await stageCommandSubset(DIST_DIR, versionInfo.commands) : null;
+    for (const file of toRestore) {
+      const src = path.join(stagedDir || DIST_DIR, file);
+      if (!await fs.pathExists(src)) {
+        throw new Error(`${file} is not in this package; run install --force instead`);
+      }
+      await fs.copy(src, path.join(kiroDir, file));
+    }
+
+    // Re-apply settings keys that were removed
+    const changedSettings = versionInfo.manifest.settings || {};
+    if (result.missingSettings.some(entry => entry.startsWith('settings/mcp.json#'))) {
+      spinner.text = 'Restoring MCP servers...';
+      changedSettings['settings/mcp.json'] = (await configureMcpServers(
+        kiroDir,
+        versionInfo.mcpServers || [],
+        {},
+        versionInfo.serverConfigs
+      )).changed;
+    }
+    if (result.missingSettings.some(entry => entry.startsWith('settings/cli.json#'))) {
+      spinner.text = 'Restoring Kiro settings...';
+      changedSettings['settings/cli.json'] = (await configureCliSettings(kiroDir, {
+        setDefault: (changedSettings['settings/cli.json'] || []).includes(toPointer('chat.defaultAgent')),
+        defaultAgent: versionInfo.defaultAgent,
+        overrides: versionInfo.cliSettings
+      })).changed;
+    }
+
+    // Record hashes of the restored files
+    const pkg = require('../package.json');
+    versionInfo.manifest = await buildManifest(
+      kiroDir,
+      Object.keys(versionInfo.manifest.files),
+      changedSettings,
+      versionInfo.manifest.originals
+    );
+    await fs.writeJson(path.join(kiroDir, 'docs', 'superclaude-version.json'), versionInfo, { spaces: 2 });
+
+    const repaired = toRestore.length + result.missingSettings.length;
+    spinner.succeed(chalk.green(repaired > 0 ? `Repaired ${repaired} item(s).` : 'Nothing to repair.'));
+    for (const file of toRestore) {
+      console.log(chalk.gray(`    - ${file}`));
+    }
+    for (const entry of result.missingSettings) {
+      console.log(chalk.gray(`    - ${entry}`));
+    }
+    if (versionInfo.version !== pkg.version) {
+      console.log(chalk.yellow(`\n  Note: files were restored from ${pkg.version}, installed version is ${versionInfo.version}.`));
+    }
+    if (result.extra.length > 0) {
+      console.log(chalk.gray(`\n  ${result.extra.length} extra file(s) left in place.`));
+    }
+    console.log('');
+
+  } catch (error) {
+    spinner.fail(chalk.red('Repair failed: ' + error.message));
+    process.exitCode = 1;
+  } finally {
+    if (stagedDir) await fs.remove(stagedDir);
+    lock?.release();
+  }
+}
+
 // Helper functions
 
-async function configureMcpServers(selectedServers, apiKeys = {}) {
-  const mcpPath = path.join(KIRO_DIR, 'settings', 'mcp.json');
+async function configureMcpServers(kiroDir, selectedServers, apiKeys = {}, overrides = {}) {
+  const mcpPath = path.join(kiroDir, 'settings', 'mcp.json');
 
   // Read existing config to preserve user's custom servers
-  let existingConfig = { mcpServers: {} };
-  if (await fs.pathExists(mcpPath)) {
-    existingConfig = await fs.readJson(mcpPath);
+  const existingConfig = await readSettingsFile(mcpPath, { mcpServers: {} });
+  const userServers = await findUserServers(kiroDir, existingConfig);
+  selectedServers = selectedServers.filter(name => !userServers.includes(name));
+
+  const mergedConfig = mergeMcpConfig(existingConfig, selectedServers, apiKeys, overrides, userServers);
+
+  await writeSettingsFile(mcpPath, mergedConfig);
+
+  // Every managed server whose entry was added, replaced or dropped
+  const before = existingConfig.mcpServers || {};
+  const touched = Object.keys({ ...before, ...mergedConfig.mcpServers })
+    .filter(name => JSON.stringify(before[name]) !== JSON.stringify(mergedConfig.mcpServers[name]))
+    .map(name => toPointer('mcpServers', name));
+
+  return {
+    changed: selectedServers
+      .filter(name => mergedConfig.mcpServers[name])
+      .map(name => toPointer('mcpServers', name)),
+    originals: captureOriginals(existingConfig, touched)
+  };
+}
+
+// Registry servers whose name the user already took in mcp.json (see findRegistryClashes)
+async function findUserServers(kiroDir, existingConfig) {
+  const versionInfo = await readVersionInfo(kiroDir);
+  return findRegistryClashes(existingConfig, versionInfo?.mcpServers);
+}
+
+async function purgeMcpServers(kiroDir, mcpOriginals) {
+  const mcpPath = path.join(kiroDir, 'settings', 'mcp.json');
+  const result = { removed: [], restored: [] };
+  if (!await fs.pathExists(mcpPath)) return result;
+
+  const config = await readSettingsFile(mcpPath);
+  const purgedVars = new Set();
+  for (const [pointer, original] of Object.entries(mcpOriginals)) {
+    const name = pointer.split('/').pop();
+    const current = getPointer(config, pointer);
+    if (original.existed) {
+      result.restored.push(name);
+    } else if (current.existed) {
+      result.removed.push(name);
+    }
+    for (const value of Object.values(current.value?.env || {})) {
+      const envVar = parseEnvReference(value);
+      if (envVar) purgedVars.add(envVar);
+    }
+    restorePointer(config, pointer, original);
   }
 
-  // Build new config from selected servers
-  const newServers = {};
-  for (const serverName of selectedServers) {
-    const apiKey = apiKeys[serverName] || null;
-    const config = buildServerConfig(serverName, apiKey);
-    if (config) {
-      newServers[serverName] = config;
+  await writeSettingsFile(mcpPath, config);
+
+  // Drop keys from the secrets file once no scope's mcp.json references them
+  const secrets = await readSecrets();
+  const stillReferenced = new Set();
+  for (const dir of new Set([kiroDir, resolveKiroDir('global'), resolveKiroDir('project')])) {
+    const servers = (await readSettingsFile(path.join(dir, 'settings', 'mcp.json')).catch(() => null))?.mcpServers || {};
+    for (const server of Object.values(servers)) {
+      for (const value of Object.values(server?.env || {})) {
+        stillReferenced.add(parseEnvReference(value));
+      }
     }
   }
+  for (const envVar of purgedVars) {
+    if (envVar in secrets && !stillReferenced.has(envVar)) {
+      await writeSecret(envVar, null);
+    }
+  }
+
+  return result;
+}
+
+async function configureCliSettings(kiroDir, { setDefault, defaultAgent, overrides = {} }) {
+  const cliSettingsPath = path.join(kiroDir, 'settings', 'cli.json');
 
-  // Merge: preserve user's custom servers, update managed servers
-  const mergedServers = {};
+  const settings = await readSettingsFile(cliSettingsPath);
+  const updated = applyCliSettings(settings, { setDefault, defaultAgent, overrides });
 
-  // First, add all user's non-managed servers
-  for (const [name, config] of Object.entries(existingConfig.mcpServers || {})) {
-    if (!MANAGED_SERVERS.includes(name)) {
-      mergedServers[name] = config;
+  await writeSettingsFile(cliSettingsPath, updated);
+
+  // Also record what was written, so uninstall can tell whether the user changed it since
+  const keys = [...new Set([...(setDefault ? DEFAULT_AGENT_KEYS : []), ...Object.keys(overrides)])];
+  const pointers = keys.map(key => toPointer(key));
+  const originals = captureOriginals(settings, pointers);
+  for (const pointer of pointers) {
+    originals[pointer].installed = getPointer(updated, pointer).value;
+  }
+
+  return { changed: pointers, originals };
+}
+
+function applyCliSettings(settings, { setDefault, defaultAgent, overrides = {} }) {
+  return { ...(setDefault ? applyDefaultAgent(settings, defaultAgent) : settings), ...overrides };
+}
+
+function applyDefaultAgent(settings, defaultAgent = 'superclaude') {
+  return {
+    ...settings,
+    'chat.defaultAgent': defaultAgent,
+    'chat.enableThinking': settings['chat.enableThinking'] !== false,
+    'chat.enableTodoList': settings['chat.enableTodoList'] !== false,
+    'chat.enableDelegate': settings['chat.enableDelegate'] !== false
+  };
+}
+
+// Same decisions as installSuperClaude steps 6-10, without writing anything
+async function planInstall(kiroDir, selectedServers, apiKeys, options) {
+  const { mcp, setDefault, defaultAgent, cliOverrides, commands, distDir, serverConfigs, bundledServers, preserveEdits, writesSecrets } = options;
+  const plan = createPlan();
+  const files = await listDistFiles(commands, distDir);
+  const previousManifest = (await readVersionInfo(kiroDir))?.manifest;
+  const localEdits = preserveEdits
+    ? await findLocalEdits(kiroDir, previousManifest, files.filter(f => f.startsWith('steering/')))
+    : [];
+  plan.delete.push(...(await findStaleFiles(kiroDir, previousManifest, files)).remove);
+
+  if (writesSecrets) {
+    const secretsPath = getSecretsPath();
+    (await fs.pathExists(secretsPath) ? plan.overwrite : plan.add).push(secretsPath);
+  }
+
+  for (const name of bundledServers) {
+    const dir = `${BUNDLED_SERVERS_DIR}/${name}/`;
+    (await fs.pathExists(path.join(kiroDir, dir)) ? plan.overwrite : plan.add).push(dir);
+  }
+
+  for (const file of [...files, VERSION_FILE]) {
+    const dst = path.join(kiroDir, file);
+    if (localEdits.includes(file)) {
+      plan.merge.push(file);
+    } else if (!await fs.pathExists(dst)) {
+      plan.add.push(file);
+    } else if (file !== VERSION_FILE && await filesEqual(path.join(distDir, file), dst)) {
+      plan.unchanged.push(file);
+    } else {
+      plan.overwrite.push(file);
     }
   }
 
-  // Then add/update selected managed servers
-  for (const [name, config] of Object.entries(newServers)) {
-    const existingServer = existingConfig.mcpServers?.[name];
+  if (mcp && selectedServers) {
+    const mcpPath = path.join(kiroDir, 'settings', 'mcp.json');
+    const before = await readSettingsFile(mcpPath);
+    const userServers = await findUserServers(kiroDir, before);
+    plan.settings.push({
+      file: 'settings/mcp.json',
+      before,
+      after: mergeMcpConfig(before, selectedServers, apiKeys, serverConfigs, userServers)
+    });
+  }
 
-    if (existingServer) {
-      // Preserve user's env settings (especially API keys) if they exist
-      const mergedEnv = {
-        ...(config.env || {}),
-        ...(existingServer.env || {})
-      };
+  if (setDefault || Object.keys(cliOverrides).length > 0) {
+    const cliSettingsPath = path.join(kiroDir, 'settings', 'cli.json');
+    const before = await readSettingsFile(cliSettingsPath);
+    plan.settings.push({ file: 'settings/cli.json', before, after: applyCliSettings(before, { setDefault, defaultAgent, overrides: cliOverrides }) });
+  }
 
-      // But if we have a new API key from this install, use it
-      if (apiKeys[name]) {
-        const server = MCP_SERVERS[name];
-        if (server?.apiKeyEnvVar) {
-          mergedEnv[server.apiKeyEnvVar] = apiKeys[name];
-        }
-      }
+  return plan;
+}
 
-      mergedServers[name] = {
-        ...config,
-        ...(Object.keys(mergedEnv).length > 0 ? { env: mergedEnv } : {})
-      };
+// API key from the env var the team config names for a server
+function readConfiguredKey(preset, serverName) {
+  const envVar = preset.apiKeyEnv[serverName];
+  return envVar ? process.env[envVar] || null : null;
+}
+
+// Whether mcp.json already has an API key for a server (kept by the merge)
+async function hasConfiguredKey(kiroDir, serverName) {
+  const config = await readSettingsFile(path.join(kiroDir, 'settings', 'mcp.json'));
+  return !!config.mcpServers?.[serverName]?.env?.[getMcpServers()[serverName].apiKeyEnvVar];
+}
+
+// Files recorded by the previous install that are not being installed again:
+// unmodified ones can be removed, edited ones are kept
+async function findStaleFiles(kiroDir, manifest, installedFiles) {
+  const stale = { remove: [], keep: [] };
+  for (const [file, recorded] of Object.entries(manifest?.files || {})) {
+    const dst = path.join(kiroDir, file);
+    if (installedFiles.includes(file) || !await fs.pathExists(dst)) continue;
+    if (await hashFile(dst) === recorded) {
+      stale.remove.push(file);
     } else {
-      mergedServers[name] = config;
+      stale.keep.push(file);
     }
   }
+  return stale;
+}
 
-  const mergedConfig = { mcpServers: mergedServers };
+// Steering files changed locally since the last install (hash differs from the manifest)
+async function findLocalEdits(kiroDir, manifest, files) {
+  const edited = [];
+  for (const file of files) {
+    const recorded = manifest?.files?.[file];
+    const dst = path.join(kiroDir, file);
+    if (recorded && await fs.pathExists(dst) && await hashFile(dst) !== recorded) {
+      edited.push(file);
+    }
+  }
+  return edited;
+}
 
-  await fs.ensureDir(path.join(KIRO_DIR, 'settings'));
-  await fs.writeJson(mcpPath, mergedConfig, { spaces: 2 });
+/**
+ * Carry local edits of a steering file over to the packaged version
+ * @returns {Promise<string>} 'merged', 'conflicts' (markers written), 'kept'
+ *   (package unchanged, local file left alone) or 'orig' (no base to merge
+ *   against: package version installed, local version saved as <file>.orig)
+ */
+async function mergeLocalEdits(kiroDir, file, version, distDir = DIST_DIR) {
+  const dst = path.join(kiroDir, file);
+  const basePath = path.join(kiroDir, BASE_DIR, file);
+  const ours = await fs.readFile(dst, 'utf-8');
+  const theirs = await fs.readFile(path.join(distDir, file), 'utf-8');
+
+  if (!await fs.pathExists(basePath)) {
+    await fs.writeFile(`${dst}.orig`, ours);
+    await fs.writeFile(dst, theirs);
+    return 'orig';
+  }
+
+  const base = await fs.readFile(basePath, 'utf-8');
+  if (theirs === base) return 'kept';
+
+  const result = mergeThreeWay(base, ours, theirs, {
+    ours: 'local',
+    theirs: `superclaude-kiro ${version}`
+  });
+  await fs.writeFile(dst, result.text);
+  return result.conflicts > 0 ? 'conflicts' : 'merged';
+}
+
+async function filesEqual(a, b) {
+  const [contentA, contentB] = await Promise.all([fs.readFile(a), fs.readFile(b)]);
+  return contentA.equals(contentB);
+}
+
+// A copy of distDir whose #sc-help table and agent command lists name only the
+// given commands (sc-<name>); null for a package built without a command index
+async function stageCommandSubset(distDir, commands) {
+  const indexFile = path.join(distDir, COMMANDS_INDEX);
+  if (!await fs.pathExists(indexFile)) return null;
+
+  const index = await fs.readJson(indexFile);
+  const names = commands.map(command => command.replace(/^sc-/, ''));
+  const stagedDir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-dist-'));
+  await fs.copy(distDir, stagedDir);
+
+  for (const file of await listDistFiles(commands, stagedDir)) {
+    const target = path.join(stagedDir, file);
+    if (file.endsWith('.md')) {
+      const text = await fs.readFile(target, 'utf-8');
+      const limited = limitCommandLists(text, index, names);
+      if (limited !== text) await fs.writeFile(target, limited);
+    } else if (file.endsWith('.json')) {
+      const agent = await fs.readJson(target);
+      const prompt = limitCommandLists(agent.prompt || '', index, names);
+      if (prompt !== (agent.prompt || '')) await fs.writeJson(target, { ...agent, prompt }, { spaces: 2 });
+    }
+  }
+
+  return stagedDir;
+}
+
+// Files shipped in dist/ (or a bundle's copy of it), as manifest paths (relative
+// to the Kiro directory), limited to the given steering commands when a subset is
+// installed; an agent named after a command (sc-x.json) comes only with its command
+async function listDistFiles(commands = null, distDir = DIST_DIR) {
+  const files = [];
+  const skipped = [];
+
+  const steeringSrc = path.join(distDir, 'steering', 'superclaude');
+  if (await fs.pathExists(steeringSrc)) {
+    for (const file of await fs.readdir(steeringSrc)) {
+      if (commands && !commands.includes(path.basename(file, '.md'))) {
+        skipped.push(path.basename(file, '.md'));
+        continue;
+      }
+      files.push(`steering/superclaude/${file}`);
+    }
+  }
+
+  const agentsSrc = path.join(distDir, 'agents');
+  if (await fs.pathExists(agentsSrc)) {
+    for (const agent of await fs.readdir(agentsSrc)) {
+      if (agent.endsWith('.json') && !skipped.includes(path.basename(agent, '.json'))) {
+        files.push(`agents/${agent}`);
+      }
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Reconfigure the managed MCP servers of an existing installation, keeping
+ * the version file's server list and manifest in sync
+ */
+export async function setMcpSelection(kiroDir, selectedServers, apiKeys = {}) {
+  const versionInfo = await readVersionInfo(kiroDir);
+  if (!versionInfo) {
+    throw new Error(`SuperClaude is not installed in ${kiroDir}`);
+  }
+
+  const existingConfig = await readSettingsFile(path.join(kiroDir, 'settings', 'mcp.json'), { mcpServers: {} });
+  const userServers = await findUserServers(kiroDir, existingConfig);
+  selectedServers = selectedServers.filter(name => !userServers.includes(name));
+  const result = await configureMcpServers(kiroDir, selectedServers, apiKeys, versionInfo.serverConfigs);
+
+  versionInfo.mcpServers = selectedServers;
+  if (versionInfo.manifest) {
+    versionInfo.manifest.settings['settings/mcp.json'] = result.changed;
+    versionInfo.manifest.originals = mergeOriginals(
+      versionInfo.manifest.originals,
+      { 'settings/mcp.json': result.originals }
+    );
+  }
+  await fs.writeJson(path.join(kiroDir, VERSION_FILE), versionInfo, { spaces: 2 });
+}
+
+export async function readVersionInfo(kiroDir) {
+  const versionFile = path.join(kiroDir, 'docs', 'superclaude-version.json');
+  if (!await fs.pathExists(versionFile)) return null;
+  return await fs.readJson(versionFile);
 }
 
-async function setDefaultAgent() {
-  const cliSettingsPath = path.join(KIRO_DIR, 'settings', 'cli.json');
+async function isInstalledAt(kiroDir) {
+  return await fs.pathExists(path.join(kiroDir, 'docs', 'superclaude-version.json')) &&
+    await fs.pathExists(path.join(kiroDir, 'steering', 'superclaude'));
+}
 
-  let settings = {};
-  if (await fs.pathExists(cliSettingsPath)) {
-    settings = await fs.readJson(cliSettingsPath);
+function printVerifyGroup(label, entries, color) {
+  if (entries.length === 0) return;
+  console.log(color(`  ${label} (${entries.length}):`));
+  for (const entry of entries) {
+    console.log(color(`    - ${entry}`));
   }
+  console.log('');
+}
 
-  settings['chat.defaultAgent'] = 'superclaude';
-  settings['chat.enableThinking'] = settings['chat.enableThinking'] !== false;
-  settings['chat.enableTodoList'] = settings['chat.enableTodoList'] !== false;
-  settings['chat.enableDelegate'] = settings['chat.enableDelegate'] !== false;
+// Send progress to the onEvent callback; warnings are also collected for the result
+function createReport(onEvent, warnings = null) {
+  return (type, message) => {
+    if (type === 'warning') warnings?.push(message);
+    onEvent?.({ type, message });
+  };
+}
 
-  await fs.ensureDir(path.join(KIRO_DIR, 'settings'));
-  await fs.writeJson(cliSettingsPath, settings, { spaces: 2 });
+function scopeFlag(scope) {
+  return scope === 'project' ? ' --scope project' : '';
 }
 
 async function countFiles(dir, extension, prefix = '') {
@@ -0,0 +1,286 @@
+/**
+ * JSON with comments (JSONC)
+ *
+ * Kiro's settings files are edited by hand, so they may contain // and
+ * /* *\/ comments and trailing commas. parseJsonc() accepts both and keeps the
+ * comments in a syntax tree; stringifyJsonc() writes a new value back out
+ * with 2-space indentation, putting each comment next to the key (or array
+ * item) it was attached to, as long as that key still exists.
+ */
+
+/**
+ * Syntax error with the position it was found at
+ */
+export class JsoncSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'JsoncSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Parse JSONC text
+ * @param {string} text - File content
+ * @returns {{value: *, tree: Object}} Parsed value and the syntax tree with comments
+ * @throws {JsoncSyntaxError} On invalid syntax
+ */
+export function parseJsonc(text) {
+  const parser = new Parser(text.replace(/^\uFEFF/, ''));
+  const before = parser.comments();
+  if (parser.peek().type === 'eof') {
+    parser.fail('Unexpected end of file, expected a value');
+  }
+  const node = parser.value();
+  const after = parser.comments();
+  if (parser.peek().type !== 'eof') {
+    parser.fail(`Unexpected ${describe(parser.peek())} after the end of the document`);
+  }
+
+  return { value: toValue(node), tree: { before, node, after } };
+}
+
+/**
+ * Serialize a value, keeping the comments of the document it was read from
+ * @param {*} value - Value to write
+ * @param {Object} [tree] - Syntax tree from parseJsonc() of the original text
+ * @returns {string} JSONC text ending with a newline
+ */
+export function stringifyJsonc(value, tree = null) {
+  const lines = [...(tree?.before || []), emit(value, tree?.node, ''), ...(tree?.after || [])];
+  return lines.join('\n') + '\n';
+}
+
+function emit(value, node, indent) {
+  if (Array.isArray(value)) {
+    const items = value.map(item => (item === undefined || typeof item === 'function' ? null : item));
+    const children = node?.type === 'array' ? node.items : [];
+    return container('[', ']', items.map((item, index) => ({
+      entry: children[index],
+      text: inner => emit(item, children[index]?.value, inner)
+    })), node?.type === 'array' ? node.end : [], indent);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const members = node?.type === 'object' ? node.members : [];
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+    return container('{', '}', entries.map(([key, item]) => {
+      const member = members.find(candidate => candidate.key === key);
+      return {
+        entry: member,
+        text: inner => `${JSON.stringify(key)}: ${emit(item, member?.value, inner)}`
+      };
+    }), node?.type === 'object' ? node.end : [], indent);
+  }
+
+  return JSON.stringify(value) ?? 'null';
+}
+
+function container(open, close, children, endComments, indent) {
+  if (children.length === 0 && endComments.length === 0) return open + close;
+
+  const inner = indent + '  ';
+  const lines = [open];
+  children.forEach(({ entry, text }, index) => {
+    for (const comment of entry?.before || []) lines.push(inner + comment);
+    const comma = index < children.length - 1 ? ',' : '';
+    lines.push(inner + text(inner) + comma + (entry?.after ? ' ' + entry.after : ''));
+  });
+  for (const comment of endComments) lines.push(inner + comment);
+  lines.push(indent + close);
+  return lines.join('\n');
+}
+
+function toValue(node) {
+  if (node.type === 'object') {
+    const result = {};
+    for (const member of node.members) result[member.key] = toValue(member.value);
+    return result;
+  }
+  if (node.type === 'array') return node.items.map(item => toValue(item.value));
+  return node.value;
+}
+
+// Token patterns; sticky (y), so they match at the parser's position without slicing the text
+const STRING = /"(?:[^"\\\n\r\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const LITERAL = /(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)(?![\w.])/y;
+const BAREWORD = /[^\s{}[\]:,"]+/y;
+const WHITESPACE = /\s*/y;
+
+function describe(token) {
+  if (token.type === 'eof') return 'end of file';
+  if (token.type === 'string') return 'string';
+  return `"${token.raw}"`;
+}
+
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.line = 1;
+    this.lineStart = 0;
+    this.token = null;
+  }
+
+  // Next non-comment token, without consuming it
+  peek() {
+    if (!this.token) this.token = this.lex();
+    return this.token;
+  }
+
+  next() {
+    const token = this.peek();
+    this.token = null;
+    return token;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new JsoncSyntaxError(message, token.line, token.column);
+  }
+
+  expect(type, what) {
+    const token = this.next();
+    if (token.type !== type) this.fail(`Unexpected ${describe(token)}, expected ${what}`, token);
+    return token;
+  }
+
+  // Comments before the next token
+  comments() {
+    return this.peek().comments.splice(0).map(comment => comment.text);
+  }
+
+  value() {
+    const token = this.next();
+    switch (token.type) {
+      case '{': return this.object();
+      case '[': return this.array();
+      case 'string':
+      case 'literal':
+        return { type: 'scalar', value: token.value, line: token.line };
+      default:
+        return this.fail(`Unexpected ${describe(token)}, expected a value`, token);
+    }
+  }
+
+  object() {
+    const node = { type: 'object', members: [], end: [] };
+    return this.entries(node, '}', member => node.members.push(member), () => {
+      const key = this.expect('string', 'a property name in double quotes');
+      this.expect(':', '":"');
+      return { key: key.value, value: this.value() };
+    });
+  }
+
+  array() {
+    const node = { type: 'array', items: [], end: [] };
+    return this.entries(node, ']', item => node.items.push(item), () => ({ value: this.value() }));
+  }
+
+  // Comma-separated entries up to the closing bracket, allowing a trailing comma.
+  // A comment on the same line as the end of an entry belongs to that entry,
+  // any other comment to the entry (or closing bracket) that follows it.
+  entries(node, close, add, parseEntry) {
+    for (;;) {
+      const before = this.comments();
+      if (this.peek().type === close) {
+        node.end.push(...before);
+        node.line = this.next().line;
+        return node;
+      }
+
+      const entry = { before, ...parseEntry(), after: null };
+      const endLine = entry.value.line;
+      const trailing = [];
+      this.takeSameLine(endLine, trailing);
+      const separator = this.peek();
+      if (separator.type === ',') {
+        this.next();
+        this.takeSameLine(endLine, trailing);
+      } else if (separator.type !== close) {
+        this.fail(`Unexpected ${describe(separator)}, expected "," or "${close}"`);
+      }
+      entry.after = trailing.length ? trailing.join(' ') : null;
+      add(entry);
+    }
+  }
+
+  takeSameLine(line, into) {
+    const pending = this.peek().comments;
+    while (pending.length && pending[0].line === line) {
+      into.push(pending.shift().text);
+    }
+  }
+
+  lex() {
+    const comments = [];
+    for (;;) {
+      this.skipWhitespace();
+      if (this.text.startsWith('//', this.pos)) {
+        const end = this.text.indexOf('\n', this.pos);
+        const stop = end === -1 ? this.text.length : end;
+        comments.push({ line: this.line, text: this.text.slice(this.pos, stop).trimEnd() });
+        this.pos = stop;
+      } else if (this.text.startsWith('/*', this.pos)) {
+        const start = this.position();
+        const end = this.text.indexOf('*/', this.pos + 2);
+        if (end === -1) throw new JsoncSyntaxError('Unterminated comment', start.line, start.column);
+        comments.push({ line: this.line, text: this.text.slice(this.pos, end + 2) });
+        this.advance(end + 2);
+      } else {
+        break;
+      }
+    }
+
+    const start = this.position();
+    const token = { comments, ...start };
+    const ch = this.text[this.pos];
+
+    if (ch === undefined) return { ...token, type: 'eof' };
+
+    if ('{}[]:,'.includes(ch)) {
+      this.pos++;
+      return { ...token, type: ch, raw: ch };
+    }
+
+    if (ch === '"') {
+      const match = this.match(STRING);
+      if (!match) throw new JsoncSyntaxError('Invalid or unterminated string', start.line, start.column);
+      this.pos += match[0].length;
+      return { ...token, type: 'string', value: JSON.parse(match[0]) };
+    }
+
+    const match = this.match(LITERAL);
+    if (!match) {
+      const raw = this.match(BAREWORD)?.[0] || ch;
+      throw new JsoncSyntaxError(`Unexpected "${raw}"`, start.line, start.column);
+    }
+    this.pos += match[0].length;
+    return { ...token, type: 'literal', raw: match[0], value: JSON.parse(match[0]) };
+  }
+
+  match(pattern) {
+    pattern.lastIndex = this.pos;
+    return pattern.exec(this.text);
+  }
+
+  skipWhitespace() {
+    this.advance(this.pos + this.match(WHITESPACE)[0].length);
+  }
+
+  // Move to an offset, keeping the line count
+  advance(to) {
+    for (let i = this.pos; i < to; i++) {
+      if (this.text[i] === '\n') {
+        this.line++;
+        this.lineStart = i + 1;
+      }
+    }
+    this.pos = to;
+  }
+
+  position() {
+    return { line: this.line, column: this.pos - this.lineStart + 1 };
+  }
+}
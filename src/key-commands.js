@@ -0,0 +1,174 @@
+import path from 'path';
+import chalk from 'chalk';
+import { getMcpServers, getApiKeyServers } from './mcp-servers.js';
+import { resolveKiroDir, readVersionInfo } from './installer.js';
+import { isInteractive, promptApiKey } from './prompts.js';
+import {
+  readSecrets,
+  writeSecret,
+  describeKey,
+  storeApiKey,
+  resolveKeyStorage,
+  getSecretsPath
+} from './secrets.js';
+import { readSettingsFile, writeSettingsFile } from './settings-file.js';
+import { acquireLock } from './lock.js';
+
+/**
+ * `superclaude-kiro keys ...` subcommands
+ *
+ * Only the key entry of the named server is edited in mcp.json; how the key
+ * is stored (plaintext, env reference or secrets file) is described in
+ * secrets.js.
+ */
+
+export async function setKey(serverName, options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  let lock = null;
+
+  try {
+    lock = await acquireLock(kiroDir, 'keys set');
+
+    const { config, server, envVar, mcpPath } = await loadKeyServer(kiroDir, serverName);
+    const current = describeKey(server.env?.[envVar], await readSecrets());
+    const storage = resolveKeyStorage(scope, options.storage,
+      (current.resolved || current.envVar ? current.storage : null) || (await readVersionInfo(kiroDir))?.keyStorage);
+
+    // With env storage the key lives in the user's shell profile, so there is nothing to ask for
+    // Keep the variable an existing reference uses (a team config may name its own)
+    const keyVar = current.envVar || envVar;
+    const key = storage === 'env' ? null : await resolveKeyInput(serverName, options.key, 'set');
+    server.env = { ...(server.env || {}), [envVar]: await storeApiKey(keyVar, key, storage) };
+    await writeSettingsFile(mcpPath, config);
+    if (storage !== 'secrets' && current.inSecrets) {
+      await writeSecret(keyVar, null);
+    }
+
+    console.log(chalk.green(`\n  ✔ Set ${getMcpServers()[serverName].displayName} API key (${storage})`));
+    printStorageHint(keyVar, storage);
+
+  } catch (error) {
+    console.log(chalk.red('\n  Key set failed: ' + error.message));
+    process.exit(1);
+  } finally {
+    lock?.release();
+  }
+}
+
+export async function rotateKey(serverName, options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  let lock = null;
+
+  try {
+    lock = await acquireLock(kiroDir, 'keys rotate');
+
+    const { config, server, envVar, mcpPath } = await loadKeyServer(kiroDir, serverName);
+    const current = describeKey(server.env?.[envVar], await readSecrets());
+
+    if (!current.resolved && !current.envVar) {
+      console.log(chalk.red(`\n  ${serverName} has no API key to rotate.`));
+      console.log(chalk.cyan(`    npx superclaude-kiro keys set ${serverName}`));
+      process.exit(1);
+    }
+
+    // A plain env reference points at the user's own shell profile, which we don't edit
+    if (current.storage === 'env') {
+      console.log(chalk.yellow(`\n  ${serverName} reads its key from \${${current.envVar}} in your environment.`));
+      console.log(chalk.yellow(`  Update the export of ${current.envVar} in your shell profile, or move the key to the secrets file:`));
+      console.log(chalk.cyan(`    npx superclaude-kiro keys set ${serverName} --storage secrets\n`));
+      return;
+    }
+
+    const key = await resolveKeyInput(serverName, options.key, 'rotate');
+    const keyVar = current.envVar || envVar;
+    server.env = { ...(server.env || {}), [envVar]: await storeApiKey(keyVar, key, current.storage) };
+    await writeSettingsFile(mcpPath, config);
+
+    console.log(chalk.green(`\n  ✔ Rotated ${getMcpServers()[serverName].displayName} API key (${current.storage})`));
+    printStorageHint(keyVar, current.storage);
+
+  } catch (error) {
+    console.log(chalk.red('\n  Key rotate failed: ' + error.message));
+    process.exit(1);
+  } finally {
+    lock?.release();
+  }
+}
+
+export async function removeKey(serverName, options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  let lock = null;
+
+  try {
+    lock = await acquireLock(kiroDir, 'keys remove');
+
+    const { config, server, envVar, mcpPath } = await loadKeyServer(kiroDir, serverName);
+    const secrets = await readSecrets();
+    const current = describeKey(server.env?.[envVar], secrets);
+
+    if (server.env && envVar in server.env) {
+      delete server.env[envVar];
+      await writeSettingsFile(mcpPath, config);
+    }
+    if (current.inSecrets) {
+      await writeSecret(current.envVar, null);
+    }
+
+    console.log(chalk.green(`\n  ✔ Removed ${getMcpServers()[serverName].displayName} API key`));
+    if (current.storage === 'env') {
+      console.log(chalk.gray(`  ${current.envVar} may still be exported by your shell profile.`));
+    }
+    console.log(chalk.gray(`  Disable the server until a new key is set: npx superclaude-kiro mcp disable ${serverName}\n`));
+
+  } catch (error) {
+    console.log(chalk.red('\n  Key remove failed: ' + error.message));
+    process.exit(1);
+  } finally {
+    lock?.release();
+  }
+}
+
+async function loadKeyServer(kiroDir, serverName) {
+  const envVar = getMcpServers()[serverName]?.apiKeyEnvVar;
+  if (!envVar) {
+    console.log(chalk.red(`\n  "${serverName}" does not use an API key.`));
+    console.log(chalk.gray(`  Servers with API keys: ${getApiKeyServers().join(', ')}`));
+    process.exit(1);
+  }
+
+  const mcpPath = path.join(kiroDir, 'settings', 'mcp.json');
+  const config = await readSettingsFile(mcpPath);
+  const server = config.mcpServers?.[serverName];
+  if (!server) {
+    console.log(chalk.red(`\n  MCP server "${serverName}" is not configured in ${mcpPath}`));
+    console.log(chalk.cyan(`    npx superclaude-kiro mcp add ${serverName}`));
+    process.exit(1);
+  }
+
+  return { config, server, envVar, mcpPath };
+}
+
+async function resolveKeyInput(serverName, key, action) {
+  if (key) return key;
+  const prompted = isInteractive() ? await promptApiKey(serverName) : null;
+  if (!prompted) {
+    console.log(chalk.red('\n  No API key given.'));
+    console.log(chalk.cyan(`    npx superclaude-kiro keys ${action} ${serverName} --key <key>`));
+    process.exit(1);
+  }
+  return prompted;
+}
+
+function printStorageHint(envVar, storage) {
+  if (storage === 'secrets') {
+    console.log(chalk.gray(`  Stored in ${getSecretsPath()}; make sure your shell profile runs:`));
+    console.log(chalk.cyan(`    source ${getSecretsPath()}`));
+  } else if (storage === 'env') {
+    console.log(chalk.gray(`  mcp.json references \${${envVar}}; export it in your shell profile:`));
+    console.log(chalk.cyan(`    export ${envVar}=<key>`));
+  }
+  console.log('');
+}
@@ -0,0 +1,249 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { parseCommand } from './converter.js';
+import { YamlSyntaxError } from './yaml.js';
+import { getMcpServers } from './mcp-servers.js';
+import { resolveKiroDir } from './installer.js';
+import { readSettingsFile } from './settings-file.js';
+
+/**
+ * Consistency checks for commands, steering files and agents
+ *
+ * Run by scripts/build.js on source/ and the generated dist/, and by
+ * `superclaude-kiro lint` on an installed Kiro directory. Each problem is
+ * { level, file, message }, with file relative to the directory that was
+ * checked; errors fail the build and the lint command, warnings do not.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DIST_DIR = path.join(__dirname, '..', 'dist');
+
+// SuperClaude's short names for MCP servers in command frontmatter -> names in getMcpServers()
+const SERVER_ALIASES = {
+  sequential: 'sequential-thinking',
+  morphllm: 'morphllm-fast-apply'
+};
+
+const REFERENCE_PATTERN = /#sc-([a-z][a-z0-9-]*[a-z0-9])/g;
+
+/**
+ * Problems in source command frontmatter
+ * A missing name or description, or a server this package does not define,
+ * is an error unless the allowlist (templates/lint-allowlist.json) names it
+ * with the reason it is accepted: external servers the user adds themselves,
+ * and commands whose file name and "purpose" stand in for the missing fields.
+ * @param {Object[]} commands - From readCommand()
+ * @param {Object} [allowlist] - { servers: { name: reason }, frontmatter: { command: { missing, reason } } }
+ * @returns {Array<{level: string, file: string, message: string}>}
+ */
+export function lintCommands(commands, allowlist = {}) {
+  const problems = [];
+
+  for (const command of commands) {
+    const file = `source/${command.file}`;
+    const has = key => typeof command.metadata[key] === 'string' && command.metadata[key].trim() !== '';
+    const allowed = allowlist.frontmatter?.[command.name]?.missing || [];
+    if (!has('name') && !allowed.includes('name')) {
+      problems.push({ level: 'error', file, message: 'frontmatter has no "name"' });
+    }
+    if (!has('description') && !has('purpose')) {
+      problems.push({ level: 'error', file, message: 'frontmatter has no "description" (or "purpose")' });
+    } else if (!has('description') && !allowed.includes('description')) {
+      problems.push({ level: 'error', file, message: 'frontmatter has no "description"' });
+    }
+
+    const servers = command.metadata['mcp-servers'] ?? [];
+    if (!Array.isArray(servers)) {
+      problems.push({ level: 'error', file, message: '"mcp-servers" must be a list' });
+      continue;
+    }
+    for (const server of servers) {
+      if (!getMcpServers()[SERVER_ALIASES[server] || server] && !(server in (allowlist.servers || {}))) {
+        problems.push({
+          level: 'error',
+          file,
+          message: `mcp-servers: "${server}" is not a defined MCP server (defined: ${Object.keys(getMcpServers()).join(', ')})`
+        });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * #sc-<name> references without a steering file
+ * @param {Array<{file: string, text: string}>} documents - Steering files and agent prompts
+ * @param {string[]} commandNames - Commands with a steering file
+ * @param {string[]} [uninstalled] - Commands that exist but were left out (a
+ *   profile's subset); references to them are warnings
+ * @returns {Array<{level: string, file: string, message: string}>}
+ */
+export function lintReferences(documents, commandNames, uninstalled = []) {
+  const known = new Set(commandNames);
+  const problems = [];
+
+  for (const { file, text } of documents) {
+    const missing = new Set();
+    for (const [, name] of text.matchAll(REFERENCE_PATTERN)) {
+      if (!known.has(name)) missing.add(name);
+    }
+    const notInstalled = [...missing].filter(name => uninstalled.includes(name));
+    for (const name of [...missing].filter(name => !notInstalled.includes(name))) {
+      problems.push({ level: 'error', file, message: `references #sc-${name}, which has no steering file` });
+    }
+    if (notInstalled.length > 0) {
+      problems.push({
+        level: 'warning',
+        file,
+        message: `references commands that are not installed: ${notInstalled.map(name => `#sc-${name}`).join(', ')}`
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Agents whose tools name an MCP server that is not defined
+ * @param {Array<{file: string, agent: Object}>} agents - Agent definitions
+ * @param {string[]} servers - Defined servers; an agent's own mcpServers also count
+ * @returns {Array<{level: string, file: string, message: string}>}
+ */
+export function lintAgents(agents, servers) {
+  const problems = [];
+
+  for (const { file, agent } of agents) {
+    const defined = new Set([...servers, ...Object.keys(agent.mcpServers || {})]);
+    const referenced = new Set(
+      [...(agent.tools || []), ...(agent.allowedTools || [])]
+        .filter(tool => typeof tool === 'string' && tool.startsWith('@'))
+        .map(tool => tool.slice(1).split('/')[0])
+    );
+    for (const server of referenced) {
+      if (!defined.has(server)) {
+        problems.push({ level: 'error', file, message: `tools name @${server}, which is not a defined MCP server` });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check an installed Kiro directory
+ * Servers count as defined when SuperClaude knows them (getMcpServers()) or they
+ * are configured in settings/mcp.json (for project scope, the user's as well).
+ * Only installed steering files count as commands; references to packaged
+ * commands a profile left out are warnings, agents of those commands errors.
+ * @param {Object} [options]
+ * @param {'global'|'project'} [options.scope='global']
+ * @returns {Promise<{kiroDir: string, problems: Array<{level: string, file: string, message: string}>}>}
+ */
+export async function lintInstallation(options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  const problems = [];
+
+  const steeringDir = path.join(kiroDir, 'steering', 'superclaude');
+  if (!await fs.pathExists(steeringDir)) {
+    problems.push({ level: 'error', file: 'steering/superclaude', message: 'not found (is SuperClaude installed?)' });
+  }
+
+  const documents = [];
+  const installed = [];
+  for (const file of await listFiles(steeringDir, '.md')) {
+    const relative = `steering/superclaude/${file}`;
+    const text = await fs.readFile(path.join(steeringDir, file), 'utf-8');
+    installed.push(path.basename(file, '.md').replace(/^sc-/, ''));
+    try {
+      const { metadata } = parseCommand(text);
+      if (!metadata.inclusion) {
+        problems.push({ level: 'error', file: relative, message: 'frontmatter has no "inclusion"' });
+      }
+    } catch (error) {
+      if (!(error instanceof YamlSyntaxError)) throw error;
+      problems.push({ level: 'error', file: relative, message: `invalid frontmatter: ${error.message}` });
+    }
+    documents.push({ file: relative, text });
+  }
+
+  const agents = [];
+  const agentsDir = path.join(kiroDir, 'agents');
+  for (const file of await listFiles(agentsDir, '.json')) {
+    const relative = `agents/${file}`;
+    try {
+      const agent = await fs.readJson(path.join(agentsDir, file));
+      agents.push({ file: relative, agent });
+      documents.push({ file: relative, text: `${agent.description || ''}\n${agent.prompt || ''}` });
+    } catch (error) {
+      problems.push({ level: 'error', file: relative, message: `not valid JSON: ${error.message}` });
+    }
+  }
+
+  const servers = new Set(Object.keys(getMcpServers()));
+  const mcpFiles = [path.join(kiroDir, 'settings', 'mcp.json')];
+  if (scope === 'project') mcpFiles.push(path.join(resolveKiroDir('global'), 'settings', 'mcp.json'));
+  for (const mcpFile of mcpFiles) {
+    try {
+      const config = await readSettingsFile(mcpFile);
+      Object.keys(config.mcpServers || {}).forEach(name => servers.add(name));
+    } catch (error) {
+      problems.push({ level: 'error', file: path.relative(kiroDir, mcpFile), message: error.message });
+    }
+  }
+
+  // Packaged commands a profile did not install
+  const uninstalled = (await listFiles(path.join(DIST_DIR, 'steering', 'superclaude'), '.md'))
+    .map(file => path.basename(file, '.md').replace(/^sc-/, ''))
+    .filter(name => !installed.includes(name));
+
+  for (const { file } of agents) {
+    const name = path.basename(file, '.json').replace(/^sc-/, '');
+    if (uninstalled.includes(name)) {
+      problems.push({ level: 'error', file, message: `agent for #sc-${name}, whose steering file is not installed` });
+    }
+  }
+  problems.push(...lintReferences(documents, installed, uninstalled));
+  problems.push(...lintAgents(agents, [...servers]));
+
+  return { kiroDir, problems };
+}
+
+/**
+ * `superclaude-kiro lint`: print the problems, exit 1 when there are errors
+ * @param {Object} [options] - As for lintInstallation()
+ */
+export async function runLint(options = {}) {
+  const { kiroDir, problems } = await lintInstallation(options);
+
+  console.log('');
+  console.log(chalk.bold('  SuperClaude Lint'));
+  console.log(chalk.gray('  ' + '─'.repeat(30)));
+  console.log(chalk.gray(`  Kiro directory: ${kiroDir}`));
+  console.log('');
+
+  if (problems.length === 0) {
+    console.log(chalk.green('  ✔ No problems found'));
+    console.log('');
+    return;
+  }
+
+  for (const problem of problems) {
+    const icon = problem.level === 'error' ? chalk.red('✖') : chalk.yellow('!');
+    console.log(`  ${icon} ${problem.file}: ${problem.message}`);
+  }
+  const errors = problems.filter(problem => problem.level === 'error').length;
+  const warnings = problems.length - errors;
+  console.log('');
+  console.log(chalk.gray(`  ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`));
+  console.log('');
+  if (errors > 0) process.exit(1);
+}
+
+async function listFiles(dir, extension) {
+  if (!await fs.pathExists(dir)) return [];
+  return (await fs.readdir(dir)).filter(file => file.endsWith(extension)).sort();
+}
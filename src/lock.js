@@ -0,0 +1,159 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { SuperClaudeError } from './errors.js';
+
+/**
+ * Advisory lock for commands that change a Kiro directory
+ *
+ * install, update, uninstall, repair, `mcp` and `keys` all read mcp.json,
+ * merge and write it back; two of them running at once can drop each
+ * other's changes. Each takes <kiroDir>/superclaude.lock first, created
+ * exclusively and holding { pid, hostname, command, startedAt }.
+ *
+ * A lock is stale, and taken over, when its process is no longer running
+ * (checked on the same host only) or when it is older than STALE_AFTER_MS,
+ * which also covers a PID reused by an unrelated process.
+ */
+
+export const LOCK_FILE = 'superclaude.lock';
+
+const STALE_AFTER_MS = 60 * 60 * 1000;
+
+// Locks held by this process, released on exit (process.exit() skips finally blocks)
+const held = new Set();
+
+process.once('exit', () => {
+  for (const lock of held) lock.release();
+});
+
+/**
+ * Another run holds the lock
+ */
+export class LockedError extends SuperClaudeError {
+  constructor(lockPath, owner) {
+    const ownerText = owner?.pid
+      ? `${owner.command}, pid ${owner.pid}${owner.hostname !== os.hostname() ? ` on ${owner.hostname}` : ''}, started ${describeAge(owner.startedAt)}`
+      : 'lock file unreadable';
+    super(
+      `Another superclaude-kiro run is changing ${path.dirname(lockPath)} (${ownerText}).\n` +
+      `  Wait for it to finish. If it is no longer running, remove the lock: rm ${lockPath}`,
+      { code: 'LOCKED' }
+    );
+    this.lockPath = lockPath;
+    this.owner = owner;
+  }
+}
+
+/**
+ * Take the lock of a Kiro directory
+ * Creates the directory when needed; release() removes it again if it is still empty.
+ * @param {string} kiroDir - Kiro directory about to be changed
+ * @param {string} command - Command name recorded in the lock, e.g. 'install'
+ * @returns {Promise<{path: string, release: Function}>}
+ * @throws {LockedError} When another live run holds the lock
+ */
+export async function acquireLock(kiroDir, command) {
+  const createdDir = !await fs.pathExists(kiroDir);
+  await fs.ensureDir(kiroDir);
+
+  const lockPath = path.join(kiroDir, LOCK_FILE);
+  const owner = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    command,
+    startedAt: new Date().toISOString()
+  };
+
+  // Second attempt only after removing a stale lock
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fs.writeFile(lockPath, JSON.stringify(owner, null, 2) + '\n', { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const current = await readLock(lockPath);
+      if (attempt > 0 || !isStale(current)) {
+        throw new LockedError(lockPath, current);
+      }
+      await fs.remove(lockPath);
+    }
+  }
+
+  const lock = {
+    path: lockPath,
+
+    release() {
+      if (!held.delete(lock)) return;
+      // Only remove the file if it is still ours
+      if (readLockSync(lockPath)?.pid === process.pid) {
+        fs.removeSync(lockPath);
+      }
+      if (createdDir && fs.readdirSync(kiroDir).length === 0) {
+        fs.removeSync(kiroDir);
+      }
+    }
+  };
+  held.add(lock);
+  return lock;
+}
+
+/**
+ * Run a function while holding the lock of a Kiro directory
+ * @param {string} kiroDir - Kiro directory about to be changed
+ * @param {string} command - Command name recorded in the lock
+ * @param {Function} fn - Async work
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withLock(kiroDir, command, fn) {
+  const lock = await acquireLock(kiroDir, command);
+  try {
+    return await fn();
+  } finally {
+    lock.release();
+  }
+}
+
+// Lock contents; null when unreadable, with startedAt from the file time then
+async function readLock(lockPath) {
+  try {
+    return await fs.readJson(lockPath);
+  } catch {
+    const stat = await fs.stat(lockPath).catch(() => null);
+    return stat ? { startedAt: stat.mtime.toISOString() } : null;
+  }
+}
+
+function readLockSync(lockPath) {
+  try {
+    return fs.readJsonSync(lockPath);
+  } catch {
+    return null;
+  }
+}
+
+function isStale(owner) {
+  if (!owner) return true;
+  const age = Date.now() - Date.parse(owner.startedAt);
+  if (!(age < STALE_AFTER_MS)) return true;
+  if (owner.pid && owner.hostname === os.hostname()) {
+    return !isRunning(owner.pid);
+  }
+  return false;
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+function describeAge(startedAt) {
+  const minutes = Math.round((Date.now() - Date.parse(startedAt)) / 60000);
+  if (!(minutes >= 1)) return 'less than a minute ago';
+  return minutes === 1 ? '1 minute ago' : `${minutes} minutes ago`;
+}
@@ -0,0 +1,221 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { readSettingsFile, SettingsFileError } from './settings-file.js';
+
+/**
+ * Install manifest helpers
+ *
+ * The manifest is stored in docs/superclaude-version.json and records:
+ * - files:    every file the installer created, keyed by path relative to the
+ *             Kiro directory (always '/'-separated), with its SHA-256
+ * - settings:  the JSON keys the installer changed, per settings file, as
+ *              JSON Pointers (cli.json keys contain dots, e.g. /chat.defaultAgent)
+ * - originals: per settings file, the value each touched key had before the
+ *              first install ({ existed, value }), so uninstall can restore it
+ */
+
+// Directories whose contents are owned by SuperClaude
+const MANAGED_DIRS = ['steering/superclaude'];
+
+// Agents directory is shared with the user, so only our naming is considered
+const MANAGED_AGENT_PATTERN = /^(superclaude|sc-.+)\.json$/;
+
+/**
+ * Compute the SHA-256 of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Build a manifest for installed files and changed settings keys
+ * @param {string} kiroDir - Kiro directory
+ * @param {string[]} files - Manifest paths of installed files
+ * @param {Object<string, string[]>} settings - Changed keys per settings file
+ * @param {Object<string, Object>} [originals] - Pre-install values per settings file
+ * @returns {Promise<Object>} Manifest object
+ */
+export async function buildManifest(kiroDir, files, settings = {}, originals = {}) {
+  const fileHashes = {};
+  for (const file of [...files].sort()) {
+    fileHashes[file] = await hashFile(path.join(kiroDir, file));
+  }
+
+  return { files: fileHashes, settings, originals };
+}
+
+/**
+ * Combine recorded originals with newly captured ones
+ * Values recorded by an earlier install win: after an update, the "original"
+ * of a key is still what it was before SuperClaude was first installed. The
+ * `installed` value always comes from this run, which wrote it last.
+ * @param {Object<string, Object>} previous - Originals from the existing manifest
+ * @param {Object<string, Object>} current - Originals captured by this run
+ * @returns {Object<string, Object>}
+ */
+export function mergeOriginals(previous = {}, current = {}) {
+  const merged = {};
+  for (const file of new Set([...Object.keys(current), ...Object.keys(previous)])) {
+    merged[file] = { ...(current[file] || {}), ...(previous[file] || {}) };
+    for (const [pointer, original] of Object.entries(current[file] || {})) {
+      if ('installed' in original) {
+        merged[file][pointer] = { ...merged[file][pointer], installed: original.installed };
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Build a JSON Pointer from key segments
+ * @param {...string} segments - Object keys
+ * @returns {string} Pointer such as /mcpServers/context7
+ */
+export function toPointer(...segments) {
+  return segments
+    .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
+
+/**
+ * Check whether a JSON Pointer resolves in an object
+ * @param {Object} obj - Parsed JSON
+ * @param {string} pointer - JSON Pointer
+ * @returns {boolean}
+ */
+export function hasPointer(obj, pointer) {
+  return getPointer(obj, pointer).existed;
+}
+
+/**
+ * Read the value at a JSON Pointer
+ * @param {Object} obj - Parsed JSON
+ * @param {string} pointer - JSON Pointer
+ * @returns {{existed: boolean, value?: *}}
+ */
+export function getPointer(obj, pointer) {
+  let current = obj;
+  for (const key of parsePointer(pointer)) {
+    if (current === null || typeof current !== 'object' || !(key in current)) {
+      return { existed: false };
+    }
+    current = current[key];
+  }
+  return { existed: true, value: current };
+}
+
+/**
+ * Put a recorded value back at a JSON Pointer, or remove the key if it did not exist
+ * @param {Object} obj - Parsed JSON, modified in place
+ * @param {string} pointer - JSON Pointer
+ * @param {{existed: boolean, value?: *}} original - Value from getPointer()
+ */
+export function restorePointer(obj, pointer, original) {
+  const keys = parsePointer(pointer);
+  const last = keys.pop();
+  let parent = obj;
+  for (const key of keys) {
+    if (parent[key] === null || typeof parent[key] !== 'object') {
+      if (!original.existed) return;
+      parent[key] = {};
+    }
+    parent = parent[key];
+  }
+
+  if (original.existed) {
+    parent[last] = original.value;
+  } else {
+    delete parent[last];
+  }
+}
+
+/**
+ * Record the current value of each pointer before it is changed
+ * @param {Object} obj - Parsed JSON before the change
+ * @param {string[]} pointers - Keys about to be changed
+ * @returns {Object<string, {existed: boolean, value?: *}>}
+ */
+export function captureOriginals(obj, pointers) {
+  return Object.fromEntries(pointers.map(pointer => [pointer, getPointer(obj, pointer)]));
+}
+
+function parsePointer(pointer) {
+  return pointer.split('/').slice(1).map(raw => raw.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Compare the Kiro directory against a manifest
+ * @param {string} kiroDir - Kiro directory
+ * @param {Object} manifest - Manifest from the version file
+ * @returns {Promise<{missing: string[], modified: string[], extra: string[], missingSettings: string[], invalidSettings: string[]}>}
+ *   invalidSettings: errors of settings files that do not parse (their keys are not checked)
+ */
+export async function verifyManifest(kiroDir, manifest) {
+  const result = { missing: [], modified: [], extra: [], missingSettings: [], invalidSettings: [] };
+  const expected = manifest?.files || {};
+
+  for (const [file, hash] of Object.entries(expected)) {
+    const filePath = path.join(kiroDir, file);
+    if (!await fs.pathExists(filePath)) {
+      result.missing.push(file);
+    } else if (await hashFile(filePath) !== hash) {
+      result.modified.push(file);
+    }
+  }
+
+  for (const file of await listManagedFiles(kiroDir)) {
+    if (!(file in expected)) {
+      result.extra.push(file);
+    }
+  }
+
+  for (const [file, pointers] of Object.entries(manifest?.settings || {})) {
+    let settings;
+    try {
+      settings = await readSettingsFile(path.join(kiroDir, file));
+    } catch (error) {
+      if (!(error instanceof SettingsFileError)) throw error;
+      result.invalidSettings.push(error.message);
+      continue;
+    }
+    for (const pointer of pointers) {
+      if (!hasPointer(settings, pointer)) {
+        result.missingSettings.push(`${file}#${pointer}`);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * List files in SuperClaude-owned locations of the Kiro directory
+ * @param {string} kiroDir - Kiro directory
+ * @returns {Promise<string[]>} Manifest paths
+ */
+export async function listManagedFiles(kiroDir) {
+  const files = [];
+
+  for (const dir of MANAGED_DIRS) {
+    const absDir = path.join(kiroDir, dir);
+    if (!await fs.pathExists(absDir)) continue;
+    for (const file of await fs.readdir(absDir)) {
+      files.push(`${dir}/${file}`);
+    }
+  }
+
+  const agentsDir = path.join(kiroDir, 'agents');
+  if (await fs.pathExists(agentsDir)) {
+    for (const file of await fs.readdir(agentsDir)) {
+      if (MANAGED_AGENT_PATTERN.test(file)) {
+        files.push(`agents/${file}`);
+      }
+    }
+  }
+
+  return files.sort();
+}
@@ -0,0 +1,293 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { getMcpServers, getManagedServers, findRegistryClashes } from './mcp-servers.js';
+import { resolveKiroDir, readVersionInfo, setMcpSelection } from './installer.js';
+import { isInteractive, promptApiKey } from './prompts.js';
+import { probeServer } from './mcp-probe.js';
+import { storeApiKey, resolveKeyStorage } from './secrets.js';
+import { readSettingsFile, writeSettingsFile } from './settings-file.js';
+import { acquireLock } from './lock.js';
+
+/**
+ * `superclaude-kiro mcp ...` subcommands
+ *
+ * add/remove change the managed server selection and go through the same
+ * merge as install (user-defined servers are never touched); enable/disable
+ * toggle the `disabled` flag Kiro honours on any server entry.
+ */
+
+export async function listMcpServers(options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  const mcpPath = path.join(kiroDir, 'settings', 'mcp.json');
+
+  try {
+    const servers = await readServers(mcpPath);
+    const versionInfo = await readVersionInfo(kiroDir);
+    const selected = versionInfo?.mcpServers || [];
+    const names = [...new Set([...Object.keys(servers), ...getManagedServers()])];
+    const width = Math.max(...names.map(name => name.length));
+
+    console.log('');
+    console.log(chalk.bold(`  MCP servers (${mcpPath})`));
+    console.log('');
+
+    for (const name of names) {
+      const config = servers[name];
+      const managed = getManagedServers().includes(name);
+      const label = name.padEnd(width);
+
+      const registryNote = getMcpServers()[name]?.registry ? `, from ${getMcpServers()[name].registry}` : '';
+      if (!config) {
+        const keyNote = getMcpServers()[name].requiresApiKey ? ', requires API key' : '';
+        console.log(chalk.gray(`  - ${label}  available${keyNote}${registryNote}`));
+        continue;
+      }
+
+      const notes = [(managed && selected.includes(name) ? 'managed' : 'user-defined') + registryNote];
+      if (config.disabled) notes.push('disabled');
+      const keyVar = getMcpServers()[name]?.apiKeyEnvVar;
+      if (managed && keyVar && !config.env?.[keyVar]) notes.push('needs API key');
+
+      const icon = config.disabled ? chalk.yellow('○') : chalk.green('✔');
+      console.log(`  ${icon} ${label}  ${chalk.gray(notes.join(', '))}`);
+    }
+
+    console.log('');
+    console.log(chalk.gray('  Add a server with: npx superclaude-kiro mcp add <name>'));
+    console.log('');
+
+  } catch (error) {
+    console.log(chalk.red('\n  MCP list failed: ' + error.message));
+    process.exit(1);
+  }
+}
+
+export async function addMcpServer(name, options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  let lock = null;
+
+  try {
+    lock = await acquireLock(kiroDir, 'mcp add');
+
+    const server = getMcpServers()[name];
+    if (!server) {
+      console.log(chalk.red(`\n  Unknown MCP server "${name}".`));
+      console.log(chalk.gray(`  Available: ${getManagedServers().join(', ')}`));
+      process.exit(1);
+    }
+
+    const versionInfo = await requireInstalled(kiroDir, scope);
+    const selected = versionInfo.mcpServers || [];
+    const servers = await readServers(path.join(kiroDir, 'settings', 'mcp.json'));
+    const existing = servers[name];
+
+    // The registry must not replace a server of the same name the user added by hand
+    if (findRegistryClashes({ mcpServers: servers }, selected).includes(name)) {
+      console.log(chalk.red(`\n  settings/mcp.json already has a server named "${name}" that SuperClaude did not add.`));
+      console.log(chalk.gray(`  Rename it, or the registry entry in ${server.registry}, to add this one.`));
+      process.exit(1);
+    }
+
+    // A key already in mcp.json is kept by the merge, so only ask when there is none
+    const apiKeys = {};
+    if (options.apiKey) {
+      apiKeys[name] = options.apiKey;
+    } else if (server.requiresApiKey && !existing?.env?.[server.apiKeyEnvVar]) {
+      const key = isInteractive() ? await promptApiKey(name) : null;
+      if (!key) {
+        console.log(chalk.red(`\n  ${server.displayName} requires an API key.`));
+        console.log(chalk.cyan(`    npx superclaude-kiro mcp add ${name} --api-key <key>`));
+        process.exit(1);
+      }
+      apiKeys[name] = key;
+    }
+
+    if (selected.includes(name) && !apiKeys[name]) {
+      console.log(chalk.gray(`\n  ${server.displayName} is already configured.\n`));
+      return;
+    }
+
+    if (apiKeys[name]) {
+      apiKeys[name] = await storeApiKey(server.apiKeyEnvVar, apiKeys[name], resolveKeyStorage(scope, null, versionInfo.keyStorage));
+    }
+
+    await setMcpSelection(kiroDir, [...new Set([...selected, name])], apiKeys);
+    console.log(chalk.green(`\n  ✔ Added ${server.displayName} to ${path.join(kiroDir, 'settings', 'mcp.json')}\n`));
+
+  } catch (error) {
+    console.log(chalk.red('\n  MCP add failed: ' + error.message));
+    process.exit(1);
+  } finally {
+    lock?.release();
+  }
+}
+
+export async function removeMcpServer(name, options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  let lock = null;
+
+  try {
+    lock = await acquireLock(kiroDir, 'mcp remove');
+
+    const versionInfo = await requireInstalled(kiroDir, scope);
+    const selected = versionInfo.mcpServers || [];
+
+    if (!selected.includes(name)) {
+      const servers = await readServers(path.join(kiroDir, 'settings', 'mcp.json'));
+      if (servers[name]) {
+        console.log(chalk.yellow(`\n  "${name}" was not added by SuperClaude; edit settings/mcp.json to remove it,`));
+        console.log(chalk.yellow(`  or disable it with: npx superclaude-kiro mcp disable ${name}\n`));
+      } else {
+        console.log(chalk.red(`\n  MCP server "${name}" is not configured.\n`));
+      }
+      process.exit(1);
+    }
+
+    await setMcpSelection(kiroDir, selected.filter(serverName => serverName !== name));
+    console.log(chalk.green(`\n  ✔ Removed ${getMcpServers()[name]?.displayName || name}\n`));
+
+  } catch (error) {
+    console.log(chalk.red('\n  MCP remove failed: ' + error.message));
+    process.exit(1);
+  } finally {
+    lock?.release();
+  }
+}
+
+export async function setMcpServerEnabled(name, enabled, options = {}) {
+  const scope = options.scope || 'global';
+  const kiroDir = resolveKiroDir(scope);
+  const mcpPath = path.join(kiroDir, 'settings', 'mcp.json');
+  let lock = null;
+
+  try {
+    lock = await acquireLock(kiroDir, enabled ? 'mcp enable' : 'mcp disable');
+
+    if (!await fs.pathExists(mcpPath)) {
+      console.log(chalk.red(`\n  No MCP configuration found at ${mcpPath}`));
+      process.exit(1);
+    }
+
+    const config = await readSettingsFile(mcpPath);
+    const server = config.mcpServers?.[name];
+    if (!server) {
+      console.log(chalk.red(`\n  MCP server "${name}" is not configured.`));
+      console.log(chalk.gray(`  Configured: ${Object.keys(config.mcpServers || {}).join(', ') || 'none'}`));
+      process.exit(1);
+    }
+
+    if (enabled) {
+      delete server.disabled;
+    } else {
+      server.disabled = true;
+    }
+    await writeSettingsFile(mcpPath, config);
+
+    console.log(chalk.green(`\n  ✔ ${enabled ? 'Enabled' : 'Disabled'} ${name}\n`));
+
+  } catch (error) {
+    console.log(chalk.red(`\n  MCP ${enabled ? 'enable' : 'disable'} failed: ` + error.message));
+    process.exit(1);
+  } finally {
+    lock?.release();
+  }
+}
+
+export async function testMcpServers(name, options = {}) {
+  const scope = options.scope || 'global';
+  const mcpPath = path.join(resolveKiroDir(scope), 'settings', 'mcp.json');
+
+  try {
+    if (!await fs.pathExists(mcpPath)) {
+      console.log(chalk.red(`\n  No MCP configuration found at ${mcpPath}`));
+      process.exit(1);
+    }
+
+    const servers = (await readSettingsFile(mcpPath)).mcpServers || {};
+    if (name && !servers[name]) {
+      console.log(chalk.red(`\n  MCP server "${name}" is not configured in ${mcpPath}`));
+      console.log(chalk.gray(`  Configured: ${Object.keys(servers).join(', ') || 'none'}`));
+      process.exit(1);
+    }
+
+    // Disabled servers are only probed when asked for by name
+    const targets = name
+      ? [name]
+      : Object.keys(servers).filter(serverName => !servers[serverName].disabled);
+
+    console.log('');
+    console.log(chalk.bold(`  Testing ${targets.length} MCP server(s) from ${mcpPath}`));
+    console.log('');
+
+    let failed = 0;
+    for (const serverName of targets) {
+      const config = servers[serverName];
+      if (!config.command) {
+        console.log(chalk.gray(`  ○ ${serverName} - not a stdio server, skipped`));
+        continue;
+      }
+
+      const result = await probeServer(config, { timeout: options.timeout });
+      if (!result.ok) {
+        failed++;
+        console.log(chalk.red(`  ✖ ${serverName} - ${result.error}`));
+        if (result.stderr) {
+          for (const line of result.stderr.split('\n')) {
+            console.log(chalk.gray(`      ${line}`));
+          }
+        }
+        continue;
+      }
+
+      const unknownApprovals = findUnknownApprovals(serverName, config, result.tools);
+      const icon = unknownApprovals.length > 0 ? chalk.yellow('!') : chalk.green('✔');
+      const seconds = (result.startupMs / 1000).toFixed(1);
+      console.log(`  ${icon} ${serverName} (started in ${seconds}s) - ${result.tools.length} tools`);
+      console.log(chalk.gray(`      ${result.tools.join(', ') || '(none)'}`));
+      if (unknownApprovals.length > 0) {
+        console.log(chalk.yellow(`      autoApprove names tools the server does not expose: ${unknownApprovals.join(', ')}`));
+      }
+    }
+
+    console.log('');
+    if (failed > 0) {
+      console.log(chalk.red(`  ${failed} server(s) failed to start.`));
+      console.log(chalk.gray('  Run `npx superclaude-kiro doctor` to check prerequisites.'));
+      console.log('');
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.log(chalk.red('\n  MCP test failed: ' + error.message));
+    process.exit(1);
+  }
+}
+
+async function requireInstalled(kiroDir, scope) {
+  const versionInfo = await readVersionInfo(kiroDir);
+  if (!versionInfo) {
+    console.log(chalk.red(`\n  SuperClaude is not installed (${scope} scope).`));
+    console.log(chalk.yellow('\n  To install, run:'));
+    console.log(chalk.cyan(`    npx superclaude-kiro install${scope === 'project' ? ' --scope project' : ''}`));
+    process.exit(1);
+  }
+  return versionInfo;
+}
+
+async function readServers(mcpPath) {
+  return (await readSettingsFile(mcpPath)).mcpServers || {};
+}
+
+// autoApprove entries (from mcp.json and, for managed servers, the packaged
+// definition) that the running server does not actually expose
+function findUnknownApprovals(serverName, config, tools) {
+  const approvals = new Set([
+    ...(config.autoApprove || []),
+    ...(getMcpServers()[serverName]?.config.autoApprove || [])
+  ]);
+  return [...approvals].filter(tool => tool !== '*' && !tools.includes(tool));
+}
@@ -0,0 +1,171 @@
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+import { parseEnvReference, readSecrets } from './secrets.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Minimal MCP client for probing stdio servers
+ *
+ * Speaks newline-delimited JSON-RPC 2.0 over the child's stdin/stdout:
+ * initialize -> notifications/initialized -> tools/list (following cursors).
+ */
+
+const PROTOCOL_VERSION = '2024-11-05';
+const STDERR_TAIL = 20;
+
+/**
+ * Start a stdio MCP server, list its tools, then stop it
+ * ${VAR} values in env are expanded first, as Kiro does when it starts the server.
+ * @param {Object} config - Server entry from mcp.json (command, args, env)
+ * @param {Object} [options]
+ * @param {number} [options.timeout=30000] - Per-request timeout in ms
+ * @returns {Promise<{ok: boolean, startupMs?: number, serverInfo?: Object, tools?: string[], error?: string, stderr?: string}>}
+ */
+export async function probeServer(config, options = {}) {
+  const timeout = options.timeout || 30000;
+  const started = Date.now();
+  const stderr = [];
+  let connection;
+
+  try {
+    connection = connect({ ...config, env: await expandEnv(config.env) }, stderr);
+
+    const init = await connection.request('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'superclaude-kiro', version: require('../package.json').version }
+    }, timeout);
+    const startupMs = Date.now() - started;
+    connection.notify('notifications/initialized');
+
+    const tools = [];
+    let cursor;
+    do {
+      const page = await connection.request('tools/list', cursor ? { cursor } : {}, timeout);
+      tools.push(...(page.tools || []).map(tool => tool.name));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    return { ok: true, startupMs, serverInfo: init.serverInfo, tools };
+  } catch (error) {
+    return { ok: false, error: error.message, stderr: stderr.join('').split('\n').slice(-STDERR_TAIL).join('\n').trim() };
+  } finally {
+    connection?.close();
+  }
+}
+
+// ${VAR} references from the environment, else from the secrets file; a
+// variable set in neither is left out, so the server sees it as missing
+async function expandEnv(env = {}) {
+  const secrets = Object.values(env).some(parseEnvReference) ? await readSecrets() : {};
+  const expanded = {};
+  for (const [name, value] of Object.entries(env)) {
+    const envVar = parseEnvReference(value);
+    if (!envVar) {
+      expanded[name] = value;
+    } else if (process.env[envVar] !== undefined) {
+      expanded[name] = process.env[envVar];
+    } else if (envVar in secrets) {
+      expanded[name] = secrets[envVar];
+    }
+  }
+  return expanded;
+}
+
+function connect(config, stderr) {
+  const child = spawn(config.command, config.args || [], {
+    env: { ...process.env, ...(config.env || {}) },
+    stdio: ['pipe', 'pipe', 'pipe'],
+    // npx/uvx are .cmd shims on Windows
+    shell: process.platform === 'win32'
+  });
+
+  const pending = new Map();
+  let nextId = 1;
+  let buffer = '';
+  let exitError = null;
+
+  const failAll = (error) => {
+    exitError = error;
+    for (const { reject } of pending.values()) reject(error);
+    pending.clear();
+  };
+
+  const send = (message) => {
+    child.stdin.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+  };
+
+  child.on('error', failAll);
+  child.on('exit', (code, signal) => {
+    failAll(new Error(`Server exited (${signal || `code ${code}`}) before responding`));
+  });
+  child.stdin.on('error', () => {
+    // Broken pipe: the exit/error handlers report the cause
+  });
+  child.stderr.on('data', chunk => stderr.push(chunk.toString()));
+
+  child.stdout.on('data', chunk => {
+    buffer += chunk.toString();
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        continue; // Some servers log to stdout
+      }
+
+      // Requests from the server: answer pings, decline everything else
+      if (message.method && message.id !== undefined) {
+        if (message.method === 'ping') {
+          send({ id: message.id, result: {} });
+        } else {
+          send({ id: message.id, error: { code: -32601, message: 'Method not found' } });
+        }
+        continue;
+      }
+
+      const waiter = pending.get(message.id);
+      if (!waiter) continue;
+      pending.delete(message.id);
+      if (message.error) {
+        waiter.reject(new Error(`${message.error.message || 'Error'} (code ${message.error.code})`));
+      } else {
+        waiter.resolve(message.result || {});
+      }
+    }
+  });
+
+  return {
+    request(method, params, timeout) {
+      if (exitError) return Promise.reject(exitError);
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`Timed out after ${timeout}ms waiting for ${method}`));
+        }, timeout);
+        pending.set(id, {
+          resolve: value => { clearTimeout(timer); resolve(value); },
+          reject: error => { clearTimeout(timer); reject(error); }
+        });
+        send({ id, method, params });
+      });
+    },
+
+    notify(method, params = {}) {
+      send({ method, params });
+    },
+
+    close() {
+      child.removeAllListeners('exit');
+      child.stdin.end();
+      child.kill();
+    }
+  };
+}
@@ -1,3 +1,7 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getKiroDir, getProjectKiroDir } from './utils.js';
+
 /**
  * MCP Server Definitions for SuperClaude
  *
@@ -5,11 +9,24 @@
  * - displayName: Human-readable name
  * - description: Short description for selection UI
  * - requiresApiKey: Whether user needs to provide an API key
+ * - apiKeyEnvVar: Env var the API key is passed in (when requiresApiKey)
  * - defaultEnabled: Pre-selected in interactive mode
  * - config: The actual MCP server configuration
+ *
+ * Extra definitions with the same shape are read from a registry file:
+ *   ~/.kiro/superclaude-registry.json          (user)
+ *   <project>/.kiro/superclaude-registry.json  (project, wins over user)
+ * as { "servers": { "<name>": { displayName, ..., config } } }
+ * (the same files may also define install profiles, see profiles.js)
+ *
+ * The registries are read on first use rather than at import, so KIRO_HOME
+ * can still be set and nothing is printed: problems with them are kept for
+ * getRegistryWarnings().
  */
 
-export const MCP_SERVERS = {
+export const REGISTRY_FILE = 'superclaude-registry.json';
+
+const BUILTIN_SERVERS = {
   'sequential-thinking': {
     name: 'sequential-thinking',
     displayName: 'Sequential Thinking',
@@ -107,31 +124,152 @@ export const MCP_SERVERS = {
   }
 };
 
-// List of server names that are managed by SuperClaude installer
-export const MANAGED_SERVERS = Object.keys(MCP_SERVERS);
+// Built-in and registry servers, for the Kiro directory and working directory they were read for
+let loaded = null;
+
+/**
+ * All server definitions: built-in, then user and project registry
+ * @returns {Object} Server definitions keyed by name
+ */
+export function getMcpServers() {
+  return loadServers().servers;
+}
+
+/**
+ * Problems found in the registry files, one message per ignored file or entry
+ * @returns {string[]}
+ */
+export function getRegistryWarnings() {
+  return loadServers().warnings;
+}
+
+/**
+ * Names of the servers SuperClaude manages (built-in and registry)
+ * @returns {string[]}
+ */
+export function getManagedServers() {
+  return Object.keys(getMcpServers());
+}
+
+/**
+ * Servers installed by default (--minimal, non-interactive): enabled by
+ * default and without an API key
+ * @returns {string[]}
+ */
+export function getCoreServers() {
+  return Object.entries(getMcpServers())
+    .filter(([_, server]) => server.defaultEnabled && !server.requiresApiKey)
+    .map(([name]) => name);
+}
+
+/**
+ * Servers that require an API key
+ * @returns {string[]}
+ */
+export function getApiKeyServers() {
+  return Object.entries(getMcpServers())
+    .filter(([_, server]) => server.requiresApiKey)
+    .map(([name]) => name);
+}
+
+function loadServers() {
+  const key = `${getKiroDir()}\0${process.cwd()}`;
+  if (loaded?.key !== key) {
+    const warnings = [];
+    loaded = {
+      key,
+      servers: Object.assign({ ...BUILTIN_SERVERS }, ...getRegistryPaths().map(file => loadRegistry(file, warnings))),
+      warnings
+    };
+  }
+  return loaded;
+}
+
+/**
+ * Registry files to read, user before project (the same file once when the
+ * project's .kiro is the user's Kiro directory)
+ * @returns {string[]}
+ */
+export function getRegistryPaths() {
+  return [...new Set([getKiroDir(), getProjectKiroDir()])].map(dir => path.join(dir, REGISTRY_FILE));
+}
+
+/**
+ * Load server definitions from a registry file
+ * Invalid entries are skipped with a warning so one typo cannot block installs.
+ * @param {string} registryPath - Path to a superclaude-registry.json
+ * @param {string[]} [warnings] - Collects a message per ignored file or entry
+ * @returns {Object} Server definitions keyed by name
+ */
+export function loadRegistry(registryPath, warnings = []) {
+  if (!fs.pathExistsSync(registryPath)) return {};
+
+  let registry;
+  try {
+    registry = fs.readJsonSync(registryPath);
+  } catch (error) {
+    warnings.push(`Ignoring ${registryPath}: ${error.message}`);
+    return {};
+  }
+
+  const servers = {};
+  for (const [name, definition] of Object.entries(registry.servers || {})) {
+    const problem = validateDefinition(definition);
+    if (problem) {
+      warnings.push(`Ignoring MCP server "${name}" in ${registryPath}: ${problem}`);
+      continue;
+    }
+    servers[name] = {
+      displayName: name,
+      description: '',
+      requiresApiKey: false,
+      defaultEnabled: false,
+      ...definition,
+      name,
+      registry: registryPath
+    };
+  }
+
+  return servers;
+}
 
-// Get core servers (no API key required)
-export const CORE_SERVERS = Object.entries(MCP_SERVERS)
-  .filter(([_, server]) => !server.requiresApiKey)
-  .map(([name]) => name);
+function validateDefinition(definition) {
+  if (!definition || typeof definition !== 'object') return 'definition must be an object';
+  if (!definition.config || typeof definition.config !== 'object') return 'missing "config"';
+  if (!definition.config.command && !definition.config.url) return '"config" needs a "command" or "url"';
+  if (definition.requiresApiKey && !definition.apiKeyEnvVar) return '"requiresApiKey" needs an "apiKeyEnvVar"';
+  return null;
+}
 
-// Get servers that require API keys
-export const API_KEY_SERVERS = Object.entries(MCP_SERVERS)
-  .filter(([_, server]) => server.requiresApiKey)
-  .map(([name]) => name);
+/**
+ * Registry servers whose name is taken by a server the user added to mcp.json
+ * The user's entry wins: it stays user-defined and the registry definition
+ * is not installed over it.
+ * @param {Object} existingConfig - Current mcp.json
+ * @param {string[]} installed - Servers SuperClaude installed (mcpServers of the version file)
+ * @returns {string[]}
+ */
+export function findRegistryClashes(existingConfig, installed = []) {
+  const servers = getMcpServers();
+  return Object.keys(existingConfig?.mcpServers || {})
+    .filter(name => servers[name]?.registry && !installed.includes(name));
+}
 
 /**
  * Build MCP config for a server, optionally with API key
+ * An override replaces fields of the packaged config (e.g. command and args
+ * of a server installed from an offline bundle).
  */
-export function buildServerConfig(serverName, apiKey = null) {
-  const server = MCP_SERVERS[serverName];
+export function buildServerConfig(serverName, apiKey = null, override = null) {
+  const server = getMcpServers()[serverName];
   if (!server) return null;
 
-  const config = { ...server.config };
+  const config = { ...server.config, ...override };
 
-  // Add API key to env if provided
+  // Add API key to env if provided, next to any variables the definition sets
   if (apiKey && server.requiresApiKey) {
     config.env = {
+      ...config.env,
       [server.apiKeyEnvVar]: apiKey
     };
   }
@@ -142,12 +280,12 @@ export function buildServerConfig(serverName, apiKey = null) {
 /**
  * Build complete MCP config from selected servers
  */
-export function buildMcpConfig(selectedServers, apiKeys = {}) {
+export function buildMcpConfig(selectedServers, apiKeys = {}, overrides = {}) {
   const mcpServers = {};
 
   for (const serverName of selectedServers) {
     const apiKey = apiKeys[serverName] || null;
-    const config = buildServerConfig(serverName, apiKey);
+    const config = buildServerConfig(serverName, apiKey, overrides[serverName]);
     if (config) {
       mcpServers[serverName] = config;
     }
@@ -155,3 +293,60 @@ export function buildMcpConfig(selectedServers, apiKeys = {}) {
 
   return { mcpServers };
 }
+
+/**
+ * Merge selected servers into an existing mcp.json config
+ * - User-defined (non-managed) servers are preserved as-is
+ * - Managed servers not in the selection are dropped
+ * - Existing env values (e.g. API keys) win, unless a new key is provided
+ * - An existing `disabled` flag is kept
+ * - overrides replace packaged config fields per server (see buildServerConfig)
+ * - userServers are kept as-is even where a registry defines the same name
+ *   (see findRegistryClashes)
+ */
+export function mergeMcpConfig(existingConfig, selectedServers, apiKeys = {}, overrides = {}, userServers = []) {
+  const newServers = buildMcpConfig(selectedServers.filter(name => !userServers.includes(name)), apiKeys, overrides).mcpServers;
+  const managed = getManagedServers();
+
+  // Merge: preserve user's custom servers, update managed servers
+  const mergedServers = {};
+
+  // First, add all user's non-managed servers
+  for (const [name, config] of Object.entries(existingConfig.mcpServers || {})) {
+    if (!managed.includes(name) || userServers.includes(name)) {
+      mergedServers[name] = config;
+    }
+  }
+
+  // Then add/update selected managed servers
+  for (const [name, config] of Object.entries(newServers)) {
+    const existingServer = existingConfig.mcpServers?.[name];
+
+    if (existingServer) {
+      // Preserve user's env settings (especially API keys) if they exist
+      const mergedEnv = {
+        ...(config.env || {}),
+        ...(existingServer.env || {})
+      };
+
+      // But if we have a new API key from this install, use it
+      if (apiKeys[name]) {
+        const server = getMcpServers()[name];
+        if (server?.apiKeyEnvVar) {
+          mergedEnv[server.apiKeyEnvVar] = apiKeys[name];
+        }
+      }
+
+      mergedServers[name] = {
+        ...config,
+        ...(Object.keys(mergedEnv).length > 0 ? { env: mergedEnv } : {}),
+        // Keep servers the user disabled switched off
+        ...(existingServer.disabled !== undefined ? { disabled: existingServer.disabled } : {})
+      };
+    } else {
+      mergedServers[name] = config;
+    }
+  }
+
+  return { mcpServers: mergedServers };
+}
@@ -0,0 +1,158 @@
+/**
+ * Line-based three-way merge (diff3 style)
+ *
+ * Used by update to carry local edits of steering files over to the new
+ * packaged version. Each side is diffed against the common base; changes
+ * that touch or overlap the same base lines on both sides are a conflict
+ * unless both sides made the identical change.
+ */
+
+/**
+ * Merge two edited versions of a text
+ * @param {string} base - Common ancestor (the version installed last time)
+ * @param {string} ours - Local version (with the user's edits)
+ * @param {string} theirs - New packaged version
+ * @param {Object} [labels]
+ * @param {string} [labels.ours='local'] - Label for the local side of conflict markers
+ * @param {string} [labels.theirs='package'] - Label for the packaged side
+ * @returns {{text: string, conflicts: number}}
+ */
+export function mergeThreeWay(base, ours, theirs, labels = {}) {
+  const baseLines = splitLines(base);
+  const oursLines = splitLines(ours);
+  const theirsLines = splitLines(theirs);
+
+  const hunks = [
+    ...diffHunks(baseLines, oursLines).map(hunk => ({ ...hunk, side: 'ours' })),
+    ...diffHunks(baseLines, theirsLines).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+  const output = [];
+  let conflicts = 0;
+  let basePos = 0;
+  let i = 0;
+
+  while (i < hunks.length) {
+    // Group hunks whose base ranges touch or overlap
+    const group = [hunks[i]];
+    let regionStart = hunks[i].baseStart;
+    let regionEnd = hunks[i].baseEnd;
+    i++;
+    while (i < hunks.length && hunks[i].baseStart <= regionEnd) {
+      regionEnd = Math.max(regionEnd, hunks[i].baseEnd);
+      group.push(hunks[i]);
+      i++;
+    }
+
+    output.push(...baseLines.slice(basePos, regionStart));
+    basePos = regionEnd;
+
+    const oursRegion = sideRegion(group, 'ours', oursLines, baseLines, regionStart, regionEnd);
+    const theirsRegion = sideRegion(group, 'theirs', theirsLines, baseLines, regionStart, regionEnd);
+    const oursChanged = group.some(hunk => hunk.side === 'ours');
+    const theirsChanged = group.some(hunk => hunk.side === 'theirs');
+
+    if (!theirsChanged || oursRegion.join('') === theirsRegion.join('')) {
+      output.push(...oursRegion);
+    } else if (!oursChanged) {
+      output.push(...theirsRegion);
+    } else {
+      conflicts++;
+      output.push(
+        `<<<<<<< ${labels.ours || 'local'}\n`,
+        ...terminate(oursRegion),
+        '=======\n',
+        ...terminate(theirsRegion),
+        `>>>>>>> ${labels.theirs || 'package'}\n`
+      );
+    }
+  }
+
+  output.push(...baseLines.slice(basePos));
+  return { text: output.join(''), conflicts };
+}
+
+// Split into lines, keeping line endings so the merge reproduces them exactly
+function splitLines(text) {
+  return text === '' ? [] : text.split(/(?<=\n)/);
+}
+
+// Make sure the last line of a conflict side ends before the next marker
+function terminate(lines) {
+  if (lines.length === 0 || lines[lines.length - 1].endsWith('\n')) return lines;
+  return [...lines.slice(0, -1), lines[lines.length - 1] + '\n'];
+}
+
+// Lines of one side covering the base range [regionStart, regionEnd)
+function sideRegion(group, side, sideLines, baseLines, regionStart, regionEnd) {
+  const own = group.filter(hunk => hunk.side === side);
+  if (own.length === 0) return baseLines.slice(regionStart, regionEnd);
+
+  const first = own[0];
+  const last = own[own.length - 1];
+  const start = first.sideStart - (first.baseStart - regionStart);
+  const end = last.sideEnd + (regionEnd - last.baseEnd);
+  return sideLines.slice(start, end);
+}
+
+// Changed ranges between base and one side: { baseStart, baseEnd, sideStart, sideEnd }
+function diffHunks(baseLines, sideLines) {
+  const matches = longestCommonSubsequence(baseLines, sideLines);
+  const hunks = [];
+  let basePos = 0;
+  let sidePos = 0;
+
+  for (const [baseIndex, sideIndex] of [...matches, [baseLines.length, sideLines.length]]) {
+    if (baseIndex > basePos || sideIndex > sidePos) {
+      hunks.push({ baseStart: basePos, baseEnd: baseIndex, sideStart: sidePos, sideEnd: sideIndex });
+    }
+    basePos = baseIndex + 1;
+    sidePos = sideIndex + 1;
+  }
+
+  return hunks;
+}
+
+// Matching line pairs [aIndex, bIndex] of a longest common subsequence
+function longestCommonSubsequence(a, b) {
+  // Common prefix and suffix are matched directly to keep the table small
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const rows = midA.length;
+  const cols = midB.length;
+  const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      table[i][j] = midA[i] === midB[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const matches = [];
+  for (let i = 0; i < prefix; i++) matches.push([i, i]);
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (midA[i] === midB[j]) {
+      matches.push([prefix + i, prefix + j]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  for (let k = suffix; k > 0; k--) matches.push([a.length - k, b.length - k]);
+
+  return matches;
+}
@@ -0,0 +1,117 @@
+import chalk from 'chalk';
+
+/**
+ * Change plans for --dry-run
+ *
+ * A plan describes what an install or update would do without doing it:
+ * - add / overwrite / delete / unchanged: manifest paths of files
+ * - merge: locally edited files whose edits update merges into the new version
+ * - settings: { file, before, after } for each JSON settings file
+ */
+
+/**
+ * Create an empty change plan
+ * @returns {Object} Plan
+ */
+export function createPlan() {
+  return { add: [], overwrite: [], merge: [], delete: [], unchanged: [], settings: [] };
+}
+
+/**
+ * Diff two JSON values key by key
+ * Arrays and primitives are compared as whole values.
+ * @param {*} before - Original value
+ * @param {*} after - New value
+ * @param {string} [pointer] - JSON Pointer of the current position
+ * @returns {Array<{op: string, pointer: string, before?: *, after?: *}>}
+ */
+export function diffJson(before, after, pointer = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const childPointer = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (!(key in after)) {
+        changes.push({ op: 'remove', pointer: childPointer, before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ op: 'add', pointer: childPointer, after: after[key] });
+      } else {
+        changes.push(...diffJson(before[key], after[key], childPointer));
+      }
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ op: 'replace', pointer, before, after }];
+}
+
+/**
+ * Print a change plan
+ * @param {Object} plan - Plan from createPlan()
+ * @param {string} kiroDir - Kiro directory the plan applies to
+ */
+export function printPlan(plan, kiroDir) {
+  console.log('');
+  console.log(chalk.bold(`  Dry run: planned changes to ${kiroDir}`));
+  console.log(chalk.gray('  Nothing has been written.'));
+  console.log('');
+
+  printFiles('Add', plan.add, chalk.green, '+');
+  printFiles('Overwrite', plan.overwrite, chalk.yellow, '~');
+  printFiles('Merge local edits', plan.merge, chalk.cyan, '*');
+  printFiles('Delete', plan.delete, chalk.red, '-');
+  if (plan.unchanged.length > 0) {
+    console.log(chalk.gray(`  Unchanged: ${plan.unchanged.length} file(s)`));
+    console.log('');
+  }
+
+  for (const { file, before, after } of plan.settings) {
+    const changes = diffJson(before, after);
+    if (changes.length === 0) {
+      console.log(chalk.gray(`  ${file}: no changes`));
+      console.log('');
+      continue;
+    }
+
+    console.log(chalk.white(`  ${file}:`));
+    for (const change of changes) {
+      if (change.op === 'add') {
+        console.log(chalk.green(`    + ${change.pointer}: ${formatValue(change.pointer, change.after)}`));
+      } else if (change.op === 'remove') {
+        console.log(chalk.red(`    - ${change.pointer}: ${formatValue(change.pointer, change.before)}`));
+      } else {
+        console.log(chalk.yellow(`    ~ ${change.pointer}: ${formatValue(change.pointer, change.before)} -> ${formatValue(change.pointer, change.after)}`));
+      }
+    }
+    console.log('');
+  }
+}
+
+function printFiles(label, files, color, marker) {
+  if (files.length === 0) return;
+  console.log(color(`  ${label} (${files.length}):`));
+  for (const file of files) {
+    console.log(color(`    ${marker} ${file}`));
+  }
+  console.log('');
+}
+
+// Values under an env block are usually API keys: never print them
+function formatValue(pointer, value) {
+  return JSON.stringify(maskEnv(pointer, value));
+}
+
+function maskEnv(pointer, value) {
+  if (/\/env\//.test(pointer)) {
+    return typeof value === 'string' && value.startsWith('${') ? value : '***';
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, maskEnv(`${pointer}/${key}`, v)]));
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,181 @@
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { getMcpServers, getRegistryPaths } from './mcp-servers.js';
+import { normalizeCommand } from './team-config.js';
+import { getKiroDir } from './utils.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * Install profiles
+ *
+ * A profile bundles an MCP server selection, a subset of steering commands
+ * and the default agent:
+ * - description:  Shown by `superclaude-kiro profiles`
+ * - mcpServers:   Servers to configure
+ * - commands:     Steering commands to install (omit for all)
+ * - defaultAgent: Agent set as chat.defaultAgent
+ *
+ * User-defined profiles live next to registry servers, in the same files:
+ *   ~/.kiro/superclaude-registry.json          (user)
+ *   <project>/.kiro/superclaude-registry.json  (project, wins over user)
+ * as { "profiles": { "<name>": { mcpServers, commands, defaultAgent } } }
+ * They are read on first use, like registry servers (see mcp-servers.js).
+ */
+
+const BUILTIN_PROFILES = {
+  minimal: {
+    description: 'Reasoning and docs lookup with the everyday commands',
+    mcpServers: ['sequential-thinking', 'context7'],
+    commands: ['sc-implement', 'sc-analyze', 'sc-explain', 'sc-troubleshoot', 'sc-help'],
+    defaultAgent: 'superclaude'
+  },
+
+  frontend: {
+    description: 'UI work with browser automation and testing',
+    mcpServers: ['sequential-thinking', 'context7', 'playwright'],
+    commands: [
+      'sc-design', 'sc-test', 'sc-implement', 'sc-improve', 'sc-build',
+      'sc-explain', 'sc-troubleshoot', 'sc-help'
+    ],
+    defaultAgent: 'superclaude'
+  },
+
+  backend: {
+    description: 'Services and APIs with semantic code analysis',
+    mcpServers: ['sequential-thinking', 'context7', 'serena'],
+    commands: [
+      'sc-implement', 'sc-design', 'sc-analyze', 'sc-test', 'sc-build',
+      'sc-improve', 'sc-cleanup', 'sc-troubleshoot', 'sc-git', 'sc-help'
+    ],
+    defaultAgent: 'sc-implement'
+  },
+
+  research: {
+    description: 'Investigation, brainstorming and documentation',
+    mcpServers: ['sequential-thinking', 'context7'],
+    commands: [
+      'sc-research', 'sc-brainstorm', 'sc-analyze', 'sc-explain', 'sc-document',
+      'sc-business-panel', 'sc-spec-panel', 'sc-help'
+    ],
+    defaultAgent: 'sc-analyze'
+  }
+};
+
+// Built-in and registry profiles, for the Kiro directory and working directory they were read for
+let loaded = null;
+
+/**
+ * All profiles: built-in, then user and project registry
+ * @returns {Object} Profiles keyed by name
+ */
+export function getProfiles() {
+  return loadAllProfiles().profiles;
+}
+
+/**
+ * Problems found with registry profiles, one message per ignored profile
+ * @returns {string[]}
+ */
+export function getProfileWarnings() {
+  return loadAllProfiles().warnings;
+}
+
+function loadAllProfiles() {
+  const key = `${getKiroDir()}\0${process.cwd()}`;
+  if (loaded?.key !== key) {
+    const warnings = [];
+    loaded = {
+      key,
+      profiles: Object.assign({ ...BUILTIN_PROFILES }, ...getRegistryPaths().map(file => loadProfiles(file, warnings))),
+      warnings
+    };
+  }
+  return loaded;
+}
+
+/**
+ * Look up a profile by name
+ * @param {string} name - Profile name
+ * @returns {Object} Profile with its `name`
+ * @throws {ConfigError} When no such profile exists
+ */
+export function getProfile(name) {
+  const profiles = getProfiles();
+  const profile = profiles[name];
+  if (!profile) {
+    throw new ConfigError(`Unknown profile "${name}" (available: ${Object.keys(profiles).join(', ')})`);
+  }
+  return { ...profile, name };
+}
+
+/**
+ * Load profile definitions from a registry file
+ * Invalid entries are skipped with a warning, as for registry servers.
+ * @param {string} registryPath - Path to a superclaude-registry.json
+ * @param {string[]} [warnings] - Collects a message per ignored profile
+ * @returns {Object} Profiles keyed by name
+ */
+export function loadProfiles(registryPath, warnings = []) {
+  if (!fs.pathExistsSync(registryPath)) return {};
+
+  let registry;
+  try {
+    registry = fs.readJsonSync(registryPath);
+  } catch {
+    return {}; // Already reported when the servers were loaded
+  }
+
+  const profiles = {};
+  for (const [name, definition] of Object.entries(registry.profiles || {})) {
+    const problem = validateProfile(definition);
+    if (problem) {
+      warnings.push(`Ignoring profile "${name}" in ${registryPath}: ${problem}`);
+      continue;
+    }
+    profiles[name] = {
+      description: '',
+      defaultAgent: 'superclaude',
+      ...definition,
+      ...(definition.commands ? { commands: definition.commands.map(normalizeCommand) } : {}),
+      registry: registryPath
+    };
+  }
+
+  return profiles;
+}
+
+/**
+ * Print the available profiles
+ */
+export function printProfiles() {
+  const profiles = getProfiles();
+  const width = Math.max(...Object.keys(profiles).map(name => name.length));
+
+  console.log('');
+  console.log(chalk.bold('  Install profiles'));
+  console.log('');
+  for (const [name, profile] of Object.entries(profiles)) {
+    console.log(`  ${chalk.cyan(name.padEnd(width))}  ${profile.description}`);
+    console.log(chalk.gray(`  ${''.padEnd(width)}  servers: ${profile.mcpServers.join(', ')}`));
+    console.log(chalk.gray(`  ${''.padEnd(width)}  commands: ${profile.commands ? profile.commands.join(', ') : 'all'}`));
+    console.log(chalk.gray(`  ${''.padEnd(width)}  default agent: ${profile.defaultAgent}`));
+    if (profile.registry) {
+      console.log(chalk.gray(`  ${''.padEnd(width)}  from ${profile.registry}`));
+    }
+  }
+  console.log('');
+  console.log(chalk.gray('  Install with: npx superclaude-kiro install --profile <name>'));
+  console.log('');
+}
+
+function validateProfile(definition) {
+  if (!definition || typeof definition !== 'object') return 'definition must be an object';
+  if (!Array.isArray(definition.mcpServers)) return 'missing "mcpServers" array';
+  const unknown = definition.mcpServers.filter(name => !getMcpServers()[name]);
+  if (unknown.length > 0) return `unknown MCP server(s) ${unknown.join(', ')}`;
+  if (definition.commands !== undefined && !Array.isArray(definition.commands)) return '"commands" must be an array';
+  if (definition.defaultAgent !== undefined && typeof definition.defaultAgent !== 'string') {
+    return '"defaultAgent" must be an agent name';
+  }
+  return null;
+}
@@ -1,6 +1,6 @@
 import prompts from 'prompts';
 import chalk from 'chalk';
-import { MCP_SERVERS, CORE_SERVERS } from './mcp-servers.js';
+import { getMcpServers, getCoreServers } from './mcp-servers.js';
 
 /**
  * Check if running in interactive TTY
@@ -27,7 +27,7 @@ function showHeader(title) {
 export async function selectMcpServers() {
   showHeader('MCP Server Setup');
 
-  const choices = Object.entries(MCP_SERVERS).map(([name, server]) => {
+  const choices = Object.entries(getMcpServers()).map(([name, server]) => {
     const apiKeyNote = server.requiresApiKey ? chalk.yellow(' (requires API key)') : '';
     return {
       title: `${server.displayName}${apiKeyNote}`,
@@ -51,14 +51,14 @@ export async function selectMcpServers() {
     }
   });
 
-  return response.servers || CORE_SERVERS;
+  return response.servers || getCoreServers();
 }
 
 /**
  * Prompt for MorphLLM API key setup
  */
 export async function promptMorphLLMSetup() {
-  const server = MCP_SERVERS['morphllm-fast-apply'];
+  const server = getMcpServers()['morphllm-fast-apply'];
 
   showHeader('MorphLLM Fast Apply Setup');
 
@@ -138,20 +138,33 @@ export async function promptMorphLLMSetup() {
  * Quick prompt for MorphLLM key when using --with-morph flag
  */
 export async function promptMorphApiKeyQuick() {
-  const server = MCP_SERVERS['morphllm-fast-apply'];
+  return await promptApiKey('morphllm-fast-apply');
+}
+
+/**
+ * Quick prompt for the API key of any server that requires one
+ */
+export async function promptApiKey(serverName) {
+  const server = getMcpServers()[serverName];
 
   console.log('');
-  console.log(chalk.cyan.bold('MorphLLM Fast Apply'));
-  console.log(chalk.gray(server.pricing));
+  console.log(chalk.cyan.bold(server.displayName));
+  if (server.pricing) {
+    console.log(chalk.gray(server.pricing));
+  }
   console.log('');
-  console.log(chalk.white(`Sign up: ${chalk.underline(server.signupUrl)}`));
-  console.log(chalk.white(`Get key: ${chalk.underline(server.apiKeyUrl)}`));
+  if (server.signupUrl) {
+    console.log(chalk.white(`Sign up: ${chalk.underline(server.signupUrl)}`));
+  }
+  if (server.apiKeyUrl) {
+    console.log(chalk.white(`Get key: ${chalk.underline(server.apiKeyUrl)}`));
+  }
   console.log('');
 
   const response = await prompts({
     type: 'password',
     name: 'apiKey',
-    message: 'Enter your MorphLLM API key (or press Enter to skip)',
+    message: `Enter your ${server.displayName} API key (or press Enter to skip)`,
   });
 
   if (response.apiKey && response.apiKey.trim().length > 0) {
@@ -164,19 +177,37 @@ export async function promptMorphApiKeyQuick() {
 /**
  * Confirm installation with selected servers
  */
-export async function confirmInstallation(servers, hasMorph) {
+export async function confirmInstallation(servers, hasApiKeyServers) {
   console.log('');
   console.log(chalk.white('Will install the following MCP servers:'));
   servers.forEach(name => {
-    const server = MCP_SERVERS[name];
+    const server = getMcpServers()[name];
     const icon = server?.requiresApiKey ? chalk.yellow('*') : chalk.green('✓');
     console.log(`  ${icon} ${server?.displayName || name}`);
   });
 
-  if (hasMorph) {
+  if (hasApiKeyServers) {
     console.log(chalk.gray('  * requires API key'));
   }
   console.log('');
 
   return true; // Auto-confirm for now, can add prompt if needed
 }
+
+/**
+ * Ask whether to set aside a settings file that does not parse and start a new one
+ */
+export async function confirmRebuildSettings(error, backupPath) {
+  console.log('');
+  console.log(chalk.red(`  ${error.message}`));
+  console.log('');
+
+  const response = await prompts({
+    type: 'confirm',
+    name: 'rebuild',
+    message: `Move it to ${backupPath} and create a new one?`,
+    initial: false
+  });
+
+  return response.rebuild === true;
+}
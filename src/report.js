@@ -0,0 +1,185 @@
+import path from 'path';
+import chalk from 'chalk';
+import ora from 'ora';
+
+/**
+ * Terminal output for install, update and uninstall
+ *
+ * The installer itself only reports progress through an onEvent callback and
+ * returns a result; these helpers turn both into the spinner and summary the
+ * CLI shows.
+ */
+
+/**
+ * Spinner driven by installer events
+ * The spinner starts with the first step, so prompts before it are not overdrawn.
+ * @returns {{onEvent: Function, succeed: Function, stop: Function}}
+ */
+export function createSpinnerReporter() {
+  let spinner = null;
+
+  return {
+    onEvent({ type, message }) {
+      if (type === 'step') {
+        if (spinner) {
+          spinner.text = message;
+        } else {
+          spinner = ora(message).start();
+        }
+        return;
+      }
+
+      const line = type === 'warning' ? chalk.yellow(`  ${message}`) : chalk.gray(`  ${message}`);
+      if (spinner?.isSpinning) {
+        spinner.clear();
+        console.log(line);
+        spinner.render();
+      } else {
+        console.log(line);
+      }
+    },
+
+    succeed(text) {
+      (spinner || ora()).succeed(chalk.green(text));
+    },
+
+    stop() {
+      spinner?.stop();
+    }
+  };
+}
+
+/**
+ * Print the summary of an install or update
+ * @param {Object} result - From installSuperClaude()
+ * @param {Object} [options] - Options the install ran with
+ */
+export function printInstallResult(result, options = {}) {
+  const { files } = result;
+  const steeringFiles = files.installed.filter(file => file.startsWith('steering/')).length;
+  const agents = files.installed.filter(file => file.startsWith('agents/')).length;
+
+  console.log('');
+  console.log(chalk.gray(`  Installed (${result.scope} scope${result.profile ? `, ${result.profile} profile` : ''}) to ${result.kiroDir}:`));
+  console.log(chalk.gray(`    - ${steeringFiles} steering files`));
+  console.log(chalk.gray(`    - ${agents} agents`));
+  if (options.mcp !== false) {
+    console.log(chalk.gray(`    - ${result.mcpServers.length} MCP servers`));
+  }
+  printMergeSummary(files.localEdits, result.version);
+  printStaleSummary(files.removed, files.staleKept);
+  if (result.scope === 'project') {
+    console.log('');
+    if (result.keyStorage === 'plaintext') {
+      console.log(chalk.yellow('  settings/mcp.json holds API keys in plain text (--key-storage plaintext); do not commit it.'));
+      console.log(chalk.gray('  Commit the rest of the .kiro/ directory to share this setup with your team.'));
+    } else {
+      console.log(chalk.gray('  Commit the .kiro/ directory to share this setup with your team.'));
+    }
+    if (options.default !== false) {
+      console.log(chalk.gray(`  Default agent is a user-level setting; start with: kiro-cli chat --agent ${result.defaultAgent.name}`));
+    }
+  }
+  if (result.referencedVars.length > 0) {
+    console.log('');
+    if (result.secretsFile) {
+      console.log(chalk.yellow(`  API keys saved to ${result.secretsFile} (mode 0600).`));
+      console.log(chalk.yellow('  Add this line to your shell profile, then restart your shell:'));
+      console.log(chalk.cyan(`    source ${result.secretsFile}`));
+    } else {
+      console.log(chalk.yellow(`  mcp.json references ${result.referencedVars.join(', ')}; export it in your shell profile.`));
+    }
+  }
+  console.log('');
+  console.log(chalk.cyan('Quick Start:'));
+  console.log('  1. Run: ' + chalk.yellow('kiro-cli chat'));
+  console.log('  2. Try: ' + chalk.yellow('#sc-help'));
+  console.log('');
+}
+
+/**
+ * Print what an uninstall did with the MCP servers
+ * @param {Object} result - From uninstallSuperClaude()
+ */
+export function printUninstallResult(result) {
+  const purged = result.mcpServers;
+  console.log('');
+  if (purged) {
+    if (purged.removed.length > 0) {
+      console.log(chalk.gray(`  Removed MCP servers: ${purged.removed.join(', ')}`));
+    }
+    if (purged.restored.length > 0) {
+      console.log(chalk.gray(`  Restored your previous config for: ${purged.restored.join(', ')}`));
+    }
+    console.log(chalk.gray('  Your own MCP servers were preserved.'));
+  } else if (result.mcpUnrecorded) {
+    console.log(chalk.yellow('  This installation did not record which MCP servers it added;'));
+    console.log(chalk.yellow('  MCP server configurations were preserved. Remove them manually from settings/mcp.json.'));
+  } else {
+    console.log(chalk.gray('  Note: MCP server configurations were preserved.'));
+    console.log(chalk.gray(`  To also remove the servers SuperClaude added, run: npx superclaude-kiro uninstall --purge-mcp${result.scope === 'project' ? ' --scope project' : ''}`));
+  }
+  console.log('');
+}
+
+/**
+ * Print a failed command's error with its hint and rollback outcome, and set exit code 1
+ * @param {string} label - e.g. 'Installation failed'
+ * @param {Error} error - Error thrown by the installer
+ * @param {Object} [reporter] - From createSpinnerReporter(), stopped first
+ */
+export function printFailure(label, error, reporter = null) {
+  reporter?.stop();
+  console.log(chalk.red(`\n  ${label}: ${error.message}`));
+  if (error.rollback?.restored) {
+    console.log(chalk.yellow('  All changes were rolled back; your Kiro directory is unchanged.'));
+  } else if (error.rollback) {
+    console.log(chalk.red('  Rollback failed: ' + error.rollback.error.message));
+    console.log(chalk.yellow(`  Your previous files are saved in: ${error.rollback.backupDir}`));
+  }
+  if (error.hint) {
+    console.log(chalk.yellow(`\n  ${error.hint.text}`));
+    for (const command of error.hint.commands || []) {
+      console.log(chalk.cyan(`    ${command}`));
+    }
+  }
+  console.log('');
+  process.exitCode = 1;
+}
+
+function printMergeSummary(results, version) {
+  if (Object.values(results).every(files => files.length === 0)) return;
+
+  console.log('');
+  console.log(chalk.white('  Local edits to steering files:'));
+  for (const file of results.merged) {
+    console.log(chalk.green(`    ✔ ${file} - merged with ${version}`));
+  }
+  for (const file of results.kept) {
+    console.log(chalk.gray(`    ○ ${file} - unchanged in ${version}, your version kept`));
+  }
+  for (const file of results.conflicts) {
+    console.log(chalk.red(`    ✖ ${file} - conflicts, resolve the <<<<<<< markers`));
+  }
+  for (const file of results.orig) {
+    console.log(chalk.yellow(`    ! ${file} - replaced by ${version}, your version saved as ${path.basename(file)}.orig`));
+  }
+}
+
+function printStaleSummary(removed, kept) {
+  if (removed.length > 0) {
+    console.log('');
+    console.log(chalk.white(`  Removed ${removed.length} file(s) no longer shipped:`));
+    for (const file of removed) {
+      console.log(chalk.gray(`    - ${file}`));
+    }
+  }
+  if (kept.length > 0) {
+    console.log('');
+    console.log(chalk.yellow(`  Kept ${kept.length} file(s) no longer shipped because you edited them:`));
+    for (const file of kept) {
+      console.log(chalk.yellow(`    - ${file}`));
+    }
+    console.log(chalk.gray('  Delete them by hand once you no longer need them.'));
+  }
+}
@@ -0,0 +1,169 @@
+import fs from 'fs-extra';
+
+/**
+ * Claude Code syntax -> Kiro syntax in converted command bodies
+ *
+ * Driven by a rule table (templates/rewrite-rules.json):
+ *   commands    { from: "/sc:", to: "#sc-" } - command references; names
+ *               that are not a converted command are left alone and reported
+ *   commandPrefix  { from: "/sc", to: "#sc-help" } - the prefix on its own,
+ *               Claude Code's entry point that lists the commands (optional)
+ *   tools       Claude tool name -> Kiro tool name, or null when Kiro has no
+ *               equivalent (left alone and reported)
+ *   proseWords  tool names that are also ordinary words ("Read", "Task");
+ *               rewritten only in a tool list ("Read/Write") or on their
+ *               own in bold ("**Task**")
+ *   paths       Claude path -> Kiro path, or null to report it; the longest
+ *               match wins, so "~/.claude/": null catches the rest
+ *
+ * MCP tool names (mcp__server__tool) always become @server/tool.
+ */
+
+/**
+ * Read and check a rule table
+ * @param {string} file - JSON rule table
+ * @returns {Promise<Object>} The rules
+ * @throws {Error} When the table is malformed
+ */
+export async function loadRewriteRules(file) {
+  const rules = await fs.readJson(file);
+  const fail = message => {
+    throw new Error(`Invalid rewrite rules in ${file}: ${message}`);
+  };
+
+  const { commands, commandPrefix = null, tools = {}, proseWords = [], paths = {} } = rules;
+  const checkRule = (key, rule) => {
+    if (!rule || typeof rule.from !== 'string' || typeof rule.to !== 'string' || !rule.from) {
+      fail(`"${key}" needs "from" and "to" strings`);
+    }
+  };
+  checkRule('commands', commands);
+  if (commandPrefix !== null) checkRule('commandPrefix', commandPrefix);
+  for (const [table, entries] of [['tools', tools], ['paths', paths]]) {
+    for (const [key, value] of Object.entries(entries)) {
+      if (value !== null && typeof value !== 'string') fail(`${table}."${key}" must be a string or null`);
+    }
+  }
+  const notTools = proseWords.filter(word => !(word in tools));
+  if (notTools.length > 0) fail(`proseWords not in "tools": ${notTools.join(', ')}`);
+
+  return { commands, commandPrefix, tools, proseWords, paths };
+}
+
+/**
+ * Rewrite Claude Code syntax in a command body
+ * @param {string} text - Body of a command
+ * @param {Object} rules - From loadRewriteRules()
+ * @param {string[]} commandNames - Names of the converted commands
+ * @returns {{text: string, changes: Array<{from: string, to: string, count: number}>,
+ *   unmapped: Array<{text: string, reason: string, count: number}>}}
+ */
+export function rewriteSyntax(text, rules, commandNames) {
+  const changes = new Tally();
+  const unmapped = new Tally();
+
+  text = rewriteCommands(text, rules.commands, new Set(commandNames), changes, unmapped);
+  if (rules.commandPrefix) text = rewriteCommandPrefix(text, rules.commandPrefix, changes);
+  text = rewriteTools(text, rules, changes, unmapped);
+  text = text.replace(/\bmcp__([\w-]+)__(\w+|\*)/g, (match, server, tool) => {
+    const to = tool === '*' ? `@${server}` : `@${server}/${tool}`;
+    changes.add(match, to);
+    return to;
+  });
+  text = rewritePaths(text, rules.paths, changes, unmapped);
+
+  return {
+    text,
+    changes: changes.list().map(([from, to, count]) => ({ from, to, count })),
+    unmapped: unmapped.list().map(([text, reason, count]) => ({ text, reason, count }))
+  };
+}
+
+// /sc:<name> -> #sc-<name>, for names that exist
+function rewriteCommands(text, { from, to }, names, changes, unmapped) {
+  const pattern = new RegExp(`(^|[^\\w/])${escapeRegExp(from)}([a-z][a-z0-9-]*)`, 'g');
+  return text.replace(pattern, (match, before, name) => {
+    const reference = `${from}${name}`;
+    if (!names.has(name)) {
+      unmapped.add(reference, 'no such command');
+      return match;
+    }
+    changes.add(reference, `${to}${name}`);
+    return `${before}${to}${name}`;
+  });
+}
+
+// /sc on its own (not /sc:x, not part of a path such as commands/sc/)
+function rewriteCommandPrefix(text, { from, to }, changes) {
+  const pattern = new RegExp(`(^|[^\\w/~.])${escapeRegExp(from)}(?![\\w:/-])`, 'g');
+  return text.replace(pattern, (match, before) => {
+    changes.add(from, to);
+    return `${before}${to}`;
+  });
+}
+
+// Runs of tool names ("Read", "Write/Edit/MultiEdit", "Read, Grep, Write")
+function rewriteTools(text, { tools, proseWords }, changes, unmapped) {
+  const names = Object.keys(tools).sort((a, b) => b.length - a.length).map(escapeRegExp);
+  if (names.length === 0) return text;
+
+  const name = `(?:${names.join('|')})`;
+  const run = new RegExp(`(\\*\\*)?\\b(${name}(?:(?:\\s*/\\s*|,[ \\t]*)${name})*)\\b(\\*\\*)?`, 'g');
+
+  return text.replace(run, (match, open = '', list, close = '') => {
+    const parts = list.split(/\s*\/\s*|,[ \t]*/);
+    if (parts.length === 1 && proseWords.includes(parts[0]) && !(open && close)) {
+      return match;
+    }
+
+    const mapped = [];
+    for (const part of parts) {
+      const to = tools[part];
+      if (to === null) {
+        unmapped.add(part, 'no Kiro tool');
+      } else {
+        changes.add(part, to);
+      }
+      const result = to ?? part;
+      if (!mapped.includes(result)) mapped.push(result);
+    }
+    const separator = /,/.test(list) && !/\//.test(list) ? ', ' : '/';
+    return `${open}${mapped.join(separator)}${close}`;
+  });
+}
+
+// Literal paths, longest first
+function rewritePaths(text, paths, changes, unmapped) {
+  for (const from of Object.keys(paths).sort((a, b) => b.length - a.length)) {
+    const to = paths[from];
+    text = text.replace(new RegExp(escapeRegExp(from), 'g'), match => {
+      if (to === null) {
+        unmapped.add(match, 'no Kiro path');
+        return match;
+      }
+      changes.add(match, to);
+      return to;
+    });
+  }
+  return text;
+}
+
+// Counts of (a, b) pairs, in first-seen order
+class Tally {
+  constructor() {
+    this.counts = new Map();
+  }
+
+  add(a, b) {
+    const key = `${a}\0${b}`;
+    this.counts.set(key, (this.counts.get(key) || 0) + 1);
+  }
+
+  list() {
+    return [...this.counts].map(([key, count]) => [...key.split('\0'), count]);
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
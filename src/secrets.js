@@ -0,0 +1,144 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getKiroDir } from './utils.js';
+
+/**
+ * API key storage
+ *
+ * Keys for MCP servers can be stored three ways (KEY_STORAGE_MODES):
+ * - plaintext: the key itself is written to mcp.json (Kiro's default)
+ * - env:       mcp.json holds a ${VAR} reference; the user exports VAR
+ * - secrets:   mcp.json holds a ${VAR} reference; the key is kept in a
+ *              0600 shell file (~/.kiro/superclaude-secrets.env) that the
+ *              user sources from their shell profile
+ *
+ * The secrets file always lives in the user's Kiro directory, never in a
+ * project .kiro/ that may be committed. For the same reason a project
+ * install only writes a key to mcp.json in plain text when asked to.
+ */
+
+export const KEY_STORAGE_MODES = ['plaintext', 'env', 'secrets'];
+
+export const SECRETS_FILE = 'superclaude-secrets.env';
+
+/**
+ * Pick the storage mode for new API keys
+ * @param {string} scope - 'global' or 'project'
+ * @param {string} [requested] - Mode the user asked for (--key-storage, --storage, team config)
+ * @param {string} [current] - Mode recorded at install, or the key's current mode
+ * @returns {string} One of KEY_STORAGE_MODES; plaintext in a project only when requested
+ */
+export function resolveKeyStorage(scope, requested, current) {
+  if (requested) return requested;
+  if (scope === 'project') return current && current !== 'plaintext' ? current : 'secrets';
+  return current || 'plaintext';
+}
+
+/**
+ * Get the path of the managed secrets file
+ * @returns {string}
+ */
+export function getSecretsPath() {
+  return path.join(getKiroDir(), SECRETS_FILE);
+}
+
+/**
+ * Build an environment reference for a variable
+ * @param {string} envVar - Variable name
+ * @returns {string} e.g. ${MORPH_API_KEY}
+ */
+export function toEnvReference(envVar) {
+  return '${' + envVar + '}';
+}
+
+/**
+ * Extract the variable name from an environment reference
+ * @param {string} value - Value from mcp.json
+ * @returns {string|null} Variable name, or null if value is not a reference
+ */
+export function parseEnvReference(value) {
+  const match = typeof value === 'string' && value.match(/^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read the managed secrets file
+ * @returns {Promise<Object<string, string>>} Values keyed by variable name
+ */
+export async function readSecrets() {
+  const secretsPath = getSecretsPath();
+  if (!await fs.pathExists(secretsPath)) return {};
+
+  const secrets = {};
+  const content = await fs.readFile(secretsPath, 'utf-8');
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (!match) continue;
+    let value = match[2].trim();
+    if (value.startsWith("'") && value.endsWith("'") && value.length >= 2) {
+      value = value.slice(1, -1).replace(/'\\''/g, "'");
+    }
+    secrets[match[1]] = value;
+  }
+  return secrets;
+}
+
+/**
+ * Set or remove a variable in the managed secrets file (mode 0600)
+ * @param {string} envVar - Variable name
+ * @param {string|null} value - New value, or null to remove it
+ */
+export async function writeSecret(envVar, value) {
+  const secrets = await readSecrets();
+  if (value === null) {
+    delete secrets[envVar];
+  } else {
+    secrets[envVar] = value;
+  }
+
+  const lines = [
+    '# Managed by superclaude-kiro. Source this file from your shell profile:',
+    `#   source ${getSecretsPath()}`,
+    ...Object.entries(secrets).map(([name, secret]) => `export ${name}='${secret.replace(/'/g, "'\\''")}'`)
+  ];
+
+  const secretsPath = getSecretsPath();
+  await fs.ensureDir(path.dirname(secretsPath));
+  await fs.writeFile(secretsPath, lines.join('\n') + '\n', { mode: 0o600 });
+  // mode only applies when the file is created
+  await fs.chmod(secretsPath, 0o600);
+}
+
+/**
+ * Describe how an mcp.json env value resolves in the current environment
+ * @param {string} value - Value from mcp.json
+ * @param {Object<string, string>} secrets - Contents of the secrets file
+ * @returns {{storage: string, envVar?: string, resolved: boolean, inSecrets?: boolean}}
+ */
+export function describeKey(value, secrets = {}) {
+  const envVar = parseEnvReference(value);
+  if (!envVar) {
+    return { storage: 'plaintext', resolved: typeof value === 'string' && value.trim() !== '' };
+  }
+
+  const inSecrets = envVar in secrets;
+  return {
+    storage: inSecrets ? 'secrets' : 'env',
+    envVar,
+    resolved: !!process.env[envVar],
+    inSecrets
+  };
+}
+
+/**
+ * Store an API key using the given storage mode
+ * @param {string} envVar - Variable the server reads the key from
+ * @param {string} key - The API key
+ * @param {string} storage - One of KEY_STORAGE_MODES
+ * @returns {Promise<string>} Value to write to the server's env in mcp.json
+ */
+export async function storeApiKey(envVar, key, storage) {
+  if (storage === 'plaintext') return key;
+  if (storage === 'secrets') await writeSecret(envVar, key);
+  return toEnvReference(envVar);
+}
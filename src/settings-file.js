@@ -0,0 +1,102 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseJsonc, stringifyJsonc, JsoncSyntaxError } from './jsonc.js';
+import { confirmRebuildSettings } from './prompts.js';
+import { SuperClaudeError } from './errors.js';
+
+/**
+ * Kiro settings files (settings/mcp.json, settings/cli.json)
+ *
+ * Both are read as JSONC, so comments and trailing commas are fine. Writing
+ * keeps the comments and key order of the file on disk. A file that does not
+ * parse is reported with its line and column; install offers to move it
+ * aside and start over rather than stopping.
+ */
+
+export const SETTINGS_FILES = ['settings/mcp.json', 'settings/cli.json'];
+
+/**
+ * Settings file with a syntax error
+ */
+export class SettingsFileError extends SuperClaudeError {
+  constructor(filePath, cause) {
+    super(`Cannot parse ${filePath} (line ${cause.line}, column ${cause.column}): ${cause.reason}`, {
+      code: 'SETTINGS_PARSE',
+      cause
+    });
+    this.file = filePath;
+    this.line = cause.line;
+    this.column = cause.column;
+  }
+}
+
+/**
+ * Read a settings file
+ * @param {string} filePath - Path to the file
+ * @param {*} [fallback={}] - Value when the file does not exist
+ * @returns {Promise<*>} Parsed value
+ * @throws {SettingsFileError} When the file does not parse
+ */
+export async function readSettingsFile(filePath, fallback = {}) {
+  if (!await fs.pathExists(filePath)) return fallback;
+  try {
+    return parseJsonc(await fs.readFile(filePath, 'utf-8')).value;
+  } catch (error) {
+    throw error instanceof JsoncSyntaxError ? new SettingsFileError(filePath, error) : error;
+  }
+}
+
+/**
+ * Write a settings file, keeping the comments of the current file
+ * @param {string} filePath - Path to the file
+ * @param {*} value - New content
+ */
+export async function writeSettingsFile(filePath, value) {
+  let tree = null;
+  if (await fs.pathExists(filePath)) {
+    try {
+      tree = parseJsonc(await fs.readFile(filePath, 'utf-8')).tree;
+    } catch {
+      // Unreadable files were moved aside or reported before anything is written
+    }
+  }
+
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, stringifyJsonc(value, tree));
+}
+
+/**
+ * Check the settings files of a Kiro directory before changing them
+ * A file that does not parse is moved to <file>.<timestamp>.bak if the user
+ * agrees, so it is rebuilt from scratch; otherwise its error is thrown.
+ * @param {string} kiroDir - Kiro directory
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive] - Whether the user can be asked
+ * @returns {Promise<string[]>} Backups made
+ * @throws {SettingsFileError} When a file does not parse and is not rebuilt
+ */
+export async function checkSettingsFiles(kiroDir, options = {}) {
+  const backups = [];
+
+  for (const file of SETTINGS_FILES) {
+    const filePath = path.join(kiroDir, file);
+    try {
+      await readSettingsFile(filePath);
+    } catch (error) {
+      if (!(error instanceof SettingsFileError)) throw error;
+
+      const backupPath = `${filePath}.${new Date().toISOString().replace(/[:.]/g, '-')}.bak`;
+      if (!options.interactive || !await confirmRebuildSettings(error, backupPath)) {
+        error.hint = {
+          text: 'Fix the file, or move it aside to have it rebuilt:',
+          commands: [`mv ${filePath} ${backupPath}`]
+        };
+        throw error;
+      }
+      await fs.move(filePath, backupPath);
+      backups.push(backupPath);
+    }
+  }
+
+  return backups;
+}
@@ -0,0 +1,171 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+
+/**
+ * Minimal .tgz support for offline bundles
+ *
+ * Writes and reads POSIX ustar archives (regular files and directories)
+ * with pax headers for paths longer than ustar allows. Symlinks are not
+ * supported, which is fine for dist/ and npm-installed MCP servers run via
+ * `node <bin>`.
+ */
+
+const BLOCK = 512;
+
+/**
+ * Create a gzipped tar archive
+ * @param {string} outFile - Archive to write
+ * @param {Array<{name: string, source?: string, content?: string|Buffer}>} entries -
+ *   Archive paths ('/'-separated) with a file to read or the content itself
+ */
+export async function createTarGz(outFile, entries) {
+  async function* blocks() {
+    for (const entry of entries) {
+      const content = entry.content !== undefined
+        ? Buffer.from(entry.content)
+        : await fs.readFile(entry.source);
+      const mode = entry.source ? (await fs.stat(entry.source)).mode & 0o777 : 0o644;
+      yield* header(entry.name, content.length, mode);
+      yield content;
+      yield Buffer.alloc((BLOCK - (content.length % BLOCK)) % BLOCK);
+    }
+    yield Buffer.alloc(BLOCK * 2);
+  }
+
+  await fs.ensureDir(path.dirname(outFile));
+  await pipeline(Readable.from(blocks()), zlib.createGzip(), fs.createWriteStream(outFile));
+}
+
+/**
+ * Extract a gzipped tar archive
+ * @param {string} file - Archive to read
+ * @param {string} destDir - Directory to extract into
+ * @returns {Promise<string[]>} Extracted file paths (archive names)
+ * @throws {Error} When the archive is corrupt or a path escapes destDir
+ */
+export async function extractTarGz(file, destDir) {
+  const data = zlib.gunzipSync(await fs.readFile(file));
+  const extracted = [];
+  let offset = 0;
+  let paxPath = null;
+
+  while (offset + BLOCK <= data.length) {
+    const block = data.subarray(offset, offset + BLOCK);
+    if (block.every(byte => byte === 0)) break;
+
+    const size = parseOctal(block.subarray(124, 136));
+    const type = String.fromCharCode(block[156] || 48);
+    const prefix = readString(block.subarray(345, 500));
+    const name = paxPath || (prefix ? `${prefix}/` : '') + readString(block.subarray(0, 100));
+    const content = data.subarray(offset + BLOCK, offset + BLOCK + size);
+    offset += BLOCK + Math.ceil(size / BLOCK) * BLOCK;
+    paxPath = null;
+
+    if (type === 'x') {
+      paxPath = parsePax(content).path || null;
+      continue;
+    }
+    if (type !== '0' && type !== '5') continue;
+
+    const target = path.resolve(destDir, name);
+    if (!target.startsWith(path.resolve(destDir) + path.sep)) {
+      throw new Error(`Refusing to extract ${name}: path escapes the target directory`);
+    }
+    if (type === '5') {
+      await fs.ensureDir(target);
+      continue;
+    }
+    await fs.ensureDir(path.dirname(target));
+    await fs.writeFile(target, content, { mode: parseOctal(block.subarray(100, 108)) || 0o644 });
+    extracted.push(name);
+  }
+
+  return extracted;
+}
+
+function* header(name, size, mode) {
+  const split = splitName(name);
+  if (!split) {
+    // Name does not fit ustar: precede it with a pax header carrying the full path
+    const record = paxRecord('path', name);
+    yield ustarHeader({ name: 'PaxHeader/' + name.slice(-80), prefix: '' }, record.length, 0o644, 'x');
+    yield record;
+    yield Buffer.alloc((BLOCK - (record.length % BLOCK)) % BLOCK);
+  }
+  yield ustarHeader(split || { name: name.slice(-99), prefix: '' }, size, mode, '0');
+}
+
+function ustarHeader({ name, prefix }, size, mode, type) {
+  const block = Buffer.alloc(BLOCK);
+  block.write(name, 0, 100);
+  writeOctal(block, 100, 8, mode);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, Math.floor(Date.now() / 1000));
+  block.fill(' ', 148, 156);
+  block.write(type, 156, 1);
+  block.write('ustar\u000000', 257, 8);
+  block.write(prefix, 345, 155);
+
+  let checksum = 0;
+  for (const byte of block) checksum += byte;
+  writeOctal(block, 148, 7, checksum);
+  return block;
+}
+
+// ustar keeps up to 100 bytes of name plus a 155 byte prefix, split at a '/'
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+      return { name: rest, prefix };
+    }
+  }
+  return null;
+}
+
+function paxRecord(key, value) {
+  // The length prefix counts itself, so grow it until it is consistent
+  const body = ` ${key}=${value}\n`;
+  let length = Buffer.byteLength(body);
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  return Buffer.from(`${length}${body}`);
+}
+
+function parsePax(content) {
+  const fields = {};
+  let offset = 0;
+  while (offset < content.length) {
+    const space = content.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(content.subarray(offset, space).toString(), 10);
+    if (!length) break;
+    const record = content.subarray(space + 1, offset + length - 1).toString();
+    const eq = record.indexOf('=');
+    fields[record.slice(0, eq)] = record.slice(eq + 1);
+    offset += length;
+  }
+  return fields;
+}
+
+function writeOctal(block, offset, length, value) {
+  block.write(value.toString(8).padStart(length - 1, '0') + '\u0000', offset, length);
+}
+
+function parseOctal(field) {
+  const text = readString(field).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function readString(field) {
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString();
+}
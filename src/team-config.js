@@ -0,0 +1,131 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getMcpServers } from './mcp-servers.js';
+import { KEY_STORAGE_MODES } from './secrets.js';
+import { findProjectRoot } from './utils.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * Team config file for reproducible installs
+ *
+ * superclaude-kiro.config.json (in the repository root, or given with --config):
+ * {
+ *   "mcpServers": ["context7", "morphllm-fast-apply"],   // selection, skips the prompt
+ *   "apiKeyEnv": { "morphllm-fast-apply": "MORPH_API_KEY" }, // read keys from env vars
+ *   "keyStorage": "env",                                  // see secrets.js
+ *   "profile": "backend",                                 // see profiles.js
+ *   "defaultAgent": true,                                 // set chat.defaultAgent (or an agent name)
+ *   "commands": ["sc-implement", "sc-analyze"],           // steering subset (default: all)
+ *   "cliSettings": { "chat.enableThinking": false }       // cli.json overrides
+ * }
+ *
+ * Every field is optional; whatever the file leaves out is asked or defaulted
+ * as usual. Unlike registry files, an invalid team config stops the install,
+ * since the point is that every machine ends up the same.
+ */
+
+export const CONFIG_FILE = 'superclaude-kiro.config.json';
+
+/**
+ * Find the team config file in the project root
+ * @param {string} [startDir] - Directory to start from (defaults to cwd)
+ * @returns {Promise<string|null>} Path to the config file, or null
+ */
+export async function findTeamConfig(startDir) {
+  const configPath = path.join(findProjectRoot(startDir), CONFIG_FILE);
+  return await fs.pathExists(configPath) ? configPath : null;
+}
+
+/**
+ * Read and validate a team config file
+ * @param {string} configPath - Path to the config file
+ * @returns {Promise<Object>} Config with normalized command names and a `path` field
+ * @throws {ConfigError} When the file is missing or invalid
+ */
+export async function loadTeamConfig(configPath) {
+  if (!await fs.pathExists(configPath)) {
+    throw new ConfigError(`Config file not found: ${configPath}`);
+  }
+
+  let config;
+  try {
+    config = await fs.readJson(configPath);
+  } catch (error) {
+    throw new ConfigError(`Cannot parse ${configPath}: ${error.message}`);
+  }
+
+  const problem = validateTeamConfig(config);
+  if (problem) {
+    throw new ConfigError(`Invalid ${path.basename(configPath)}: ${problem}`);
+  }
+
+  return {
+    ...config,
+    apiKeyEnv: config.apiKeyEnv || {},
+    cliSettings: config.cliSettings || {},
+    ...(config.commands ? { commands: config.commands.map(normalizeCommand) } : {}),
+    path: path.resolve(configPath)
+  };
+}
+
+/**
+ * Normalize a command name to its steering file stem
+ * @param {string} name - e.g. "implement", "/sc:implement", "#sc-implement"
+ * @returns {string} e.g. "sc-implement"
+ */
+export function normalizeCommand(name) {
+  const stem = name.trim().replace(/^[#/]/, '').replace(/^sc[:-]/, '').replace(/\.md$/, '');
+  return `sc-${stem}`;
+}
+
+function validateTeamConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return 'expected a JSON object';
+
+  if (config.mcpServers !== undefined) {
+    if (!isStringArray(config.mcpServers)) return '"mcpServers" must be an array of server names';
+    const unknown = config.mcpServers.filter(name => !getMcpServers()[name]);
+    if (unknown.length > 0) {
+      return `unknown MCP server(s) ${unknown.join(', ')} (available: ${Object.keys(getMcpServers()).join(', ')})`;
+    }
+  }
+
+  if (config.apiKeyEnv !== undefined) {
+    if (!isPlainObject(config.apiKeyEnv)) return '"apiKeyEnv" must map server names to env var names';
+    for (const [name, envVar] of Object.entries(config.apiKeyEnv)) {
+      if (!getMcpServers()[name]?.apiKeyEnvVar) return `"apiKeyEnv": "${name}" is not a server that takes an API key`;
+      if (typeof envVar !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(envVar)) {
+        return `"apiKeyEnv": "${name}" must name an environment variable`;
+      }
+    }
+  }
+
+  if (config.keyStorage !== undefined && !KEY_STORAGE_MODES.includes(config.keyStorage)) {
+    return `"keyStorage" must be one of ${KEY_STORAGE_MODES.join(', ')}`;
+  }
+
+  if (config.profile !== undefined && typeof config.profile !== 'string') {
+    return '"profile" must be a profile name';
+  }
+
+  if (config.defaultAgent !== undefined && !['boolean', 'string'].includes(typeof config.defaultAgent)) {
+    return '"defaultAgent" must be true, false or an agent name';
+  }
+
+  if (config.commands !== undefined && !isStringArray(config.commands)) {
+    return '"commands" must be an array of command names';
+  }
+
+  if (config.cliSettings !== undefined && !isPlainObject(config.cliSettings)) {
+    return '"cliSettings" must be an object of cli.json keys';
+  }
+
+  return null;
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,76 @@
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Snapshot-based transactions for changes to a Kiro directory
+ *
+ * Every path an operation may touch is copied to a temporary backup before
+ * the first write. On failure, rollback() puts each path back exactly as it
+ * was: restored from the backup if it existed, removed if it did not.
+ * Parent directories that did not exist yet are removed as well.
+ */
+
+/**
+ * Snapshot paths and start a transaction
+ * @param {string} kiroDir - Kiro directory being changed
+ * @param {string[]} paths - Files or directories relative to kiroDir
+ * @returns {Promise<{backupDir: string, commit: Function, rollback: Function}>}
+ */
+export async function beginTransaction(kiroDir, paths) {
+  const backupDir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-kiro-'));
+  const kiroDirExisted = await fs.pathExists(kiroDir);
+  const entries = [];
+  const missingDirs = new Set();
+
+  for (const rel of paths) {
+    const target = path.join(kiroDir, rel);
+    const existed = await fs.pathExists(target);
+    if (existed) {
+      await fs.copy(target, path.join(backupDir, rel));
+    }
+    entries.push({ rel, existed });
+
+    for (let dir = path.dirname(rel); dir !== '.'; dir = path.dirname(dir)) {
+      if (!await fs.pathExists(path.join(kiroDir, dir))) {
+        missingDirs.add(dir);
+      }
+    }
+  }
+
+  return {
+    backupDir,
+
+    /**
+     * Discard the snapshot after a successful run
+     */
+    async commit() {
+      await fs.remove(backupDir);
+    },
+
+    /**
+     * Restore every snapshotted path, then discard the snapshot
+     */
+    async rollback() {
+      // A directory created by this run (e.g. a new project .kiro/) goes entirely
+      if (!kiroDirExisted) {
+        await fs.remove(kiroDir);
+      } else {
+        for (const { rel, existed } of entries) {
+          const target = path.join(kiroDir, rel);
+          await fs.remove(target);
+          if (existed) {
+            await fs.copy(path.join(backupDir, rel), target);
+          }
+        }
+        // Deepest first, so nested directories go before their parents
+        const dirs = [...missingDirs].sort((a, b) => b.length - a.length);
+        for (const dir of dirs) {
+          await fs.remove(path.join(kiroDir, dir));
+        }
+      }
+
+      await fs.remove(backupDir);
+    }
+  };
+}
@@ -4,10 +4,70 @@ import os from 'os';
 
 /**
  * Get the Kiro CLI directory path
- * @returns {string} Path to ~/.kiro
+ * Every command resolves the global Kiro directory through here. KIRO_HOME
+ * (also set by the --kiro-dir option) relocates it, e.g. in containers, CI
+ * sandboxes or to rehearse an install against a throwaway directory.
+ * @returns {string} Path to $KIRO_HOME, or ~/.kiro
  */
 export function getKiroDir() {
-  return path.join(os.homedir(), '.kiro');
+  return process.env.KIRO_HOME
+    ? path.resolve(process.env.KIRO_HOME)
+    : path.join(os.homedir(), '.kiro');
+}
+
+/**
+ * Find the root of the project containing a directory
+ * Walks up looking for a .git entry, stopping at the home directory.
+ * @param {string} [startDir] - Directory to start from (defaults to cwd)
+ * @returns {string} Project root, or startDir if no repository is found
+ */
+export function findProjectRoot(startDir = process.cwd()) {
+  const home = os.homedir();
+  let dir = path.resolve(startDir);
+
+  while (dir !== home) {
+    if (fs.pathExistsSync(path.join(dir, '.git'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+
+  return path.resolve(startDir);
+}
+
+/**
+ * Get the project-scoped Kiro directory path
+ * @param {string} [startDir] - Directory to start from (defaults to cwd)
+ * @returns {string} Path to <project>/.kiro
+ */
+export function getProjectKiroDir(startDir) {
+  return path.join(findProjectRoot(startDir), '.kiro');
+}
+
+/**
+ * Find an executable on PATH
+ * @param {string} name - Command name (e.g. 'npx')
+ * @returns {string|null} Full path, or null if it does not resolve
+ */
+export function findExecutable(name) {
+  const extensions = process.platform === 'win32'
+    ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+    : [''];
+
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    if (!dir) continue;
+    for (const ext of extensions) {
+      const candidate = path.join(dir, name + ext);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) return candidate;
+      } catch {
+        // Not here, keep looking
+      }
+    }
+  }
+
+  return null;
 }
 
 /**
@@ -0,0 +1,186 @@
+/**
+ * YAML subset for command frontmatter
+ *
+ * Supports what SuperClaude's command files use: mappings (nested by
+ * indentation), block lists (`- item`), flow lists (`[a, "b c"]`), single-
+ * and double-quoted strings, `#` comments and plain scalars typed as YAML
+ * does (true/false, null/~, numbers, otherwise strings). Anything else
+ * (anchors, block scalars, flow mappings, multi-document streams) is a
+ * syntax error rather than a silent misread.
+ */
+
+/**
+ * Syntax error with the line it was found on
+ */
+export class YamlSyntaxError extends Error {
+  constructor(message, line) {
+    super(`${message} at line ${line}`);
+    this.name = 'YamlSyntaxError';
+    this.reason = message;
+    this.line = line;
+  }
+}
+
+/**
+ * Parse a YAML document
+ * @param {string} text - YAML text
+ * @param {number} [firstLine=1] - Line number of the first line, for error messages
+ * @returns {*} Parsed value (an empty document is an empty object)
+ * @throws {YamlSyntaxError} On syntax outside the supported subset
+ */
+export function parseYaml(text, firstLine = 1) {
+  const lines = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+    const content = stripComment(raw).trimEnd();
+    if (content.trim() === '') return;
+    if (raw.match(/^\s*/)[0].includes('\t')) {
+      throw new YamlSyntaxError('Tabs are not allowed for indentation', firstLine + index);
+    }
+    lines.push({ indent: content.length - content.trimStart().length, text: content.trim(), line: firstLine + index });
+  });
+
+  if (lines.length === 0) return {};
+  const state = { lines, pos: 0 };
+  const value = parseBlock(state, lines[0].indent);
+  if (state.pos < lines.length) {
+    throw new YamlSyntaxError('Unexpected indentation', lines[state.pos].line);
+  }
+  return value;
+}
+
+// A mapping or list whose entries all start at `indent`
+function parseBlock(state, indent) {
+  return state.lines[state.pos].text.startsWith('- ') || state.lines[state.pos].text === '-'
+    ? parseList(state, indent)
+    : parseMapping(state, indent);
+}
+
+function parseMapping(state, indent) {
+  const result = {};
+  while (state.pos < state.lines.length && state.lines[state.pos].indent === indent) {
+    const { text, line } = state.lines[state.pos];
+    const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#][^:]*?)\s*:(?:\s+(.*))?$/.exec(text);
+    if (!match) {
+      throw new YamlSyntaxError(text.startsWith('- ') ? 'Unexpected list item in a mapping' : `Expected "key: value", got "${text}"`, line);
+    }
+    const key = /^["']/.test(match[1]) ? parseScalar(match[1], line) : match[1];
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      throw new YamlSyntaxError(`Duplicate key "${key}"`, line);
+    }
+    state.pos++;
+    result[key] = match[2] !== undefined ? parseInline(match[2], line) : parseNested(state, indent);
+  }
+  return result;
+}
+
+function parseList(state, indent) {
+  const result = [];
+  while (state.pos < state.lines.length && state.lines[state.pos].indent === indent) {
+    const { text, line } = state.lines[state.pos];
+    if (!(text.startsWith('- ') || text === '-')) {
+      throw new YamlSyntaxError('Expected a list item', line);
+    }
+    const item = text.slice(1).trim();
+    if (item === '') {
+      state.pos++;
+      result.push(parseNested(state, indent));
+    } else if (/^[^\s"'[#][^:]*:(\s|$)/.test(item)) {
+      // "- key: value" starts a mapping indented to where the key begins
+      const itemIndent = indent + text.indexOf(item);
+      state.lines[state.pos] = { indent: itemIndent, text: item, line };
+      result.push(parseMapping(state, itemIndent));
+    } else {
+      state.pos++;
+      result.push(parseInline(item, line));
+    }
+  }
+  return result;
+}
+
+// Value on the lines after "key:" (more indented, or a list at the same indent)
+function parseNested(state, parentIndent) {
+  const next = state.lines[state.pos];
+  if (!next) return null;
+  if (next.indent > parentIndent) return parseBlock(state, next.indent);
+  if (next.indent === parentIndent && next.text.startsWith('- ')) return parseList(state, parentIndent);
+  return null;
+}
+
+// Value written on the same line as its key or list marker
+function parseInline(text, line) {
+  if (text.startsWith('[')) return parseFlowList(text, line);
+  if (text.startsWith('{')) throw new YamlSyntaxError('Flow mappings ({...}) are not supported', line);
+  if (/^[|>]/.test(text)) throw new YamlSyntaxError('Block scalars (| and >) are not supported', line);
+  if (/^[&*!]/.test(text)) throw new YamlSyntaxError('Anchors, aliases and tags are not supported', line);
+  return parseScalar(text, line);
+}
+
+function parseFlowList(text, line) {
+  if (!text.endsWith(']')) throw new YamlSyntaxError('Unterminated list', line);
+  const inner = text.slice(1, -1).trim();
+  if (inner === '') return [];
+
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const ch of inner) {
+    if (quote) {
+      current += ch;
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      current += ch;
+      quote = ch;
+    } else if (ch === ',') {
+      items.push(current.trim());
+      current = '';
+    } else if (ch === '[' || ch === '{') {
+      throw new YamlSyntaxError('Nested flow collections are not supported', line);
+    } else {
+      current += ch;
+    }
+  }
+  if (quote) throw new YamlSyntaxError('Unterminated string', line);
+  // A trailing comma is allowed; an empty item elsewhere is not
+  if (current.trim() !== '') items.push(current.trim());
+  if (items.some(item => item === '')) throw new YamlSyntaxError('Empty list item', line);
+  return items.map(item => parseScalar(item, line));
+}
+
+function parseScalar(text, line) {
+  if (text.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) throw new YamlSyntaxError('Invalid or unterminated string', line);
+    try {
+      return JSON.parse(text.replace(/\\'/g, "'"));
+    } catch {
+      throw new YamlSyntaxError('Invalid escape in string', line);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) throw new YamlSyntaxError('Invalid or unterminated string', line);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^(null|Null|NULL|~)$/.test(text)) return null;
+  if (/^[-+]?(0|[1-9]\d*)$/.test(text)) return parseInt(text, 10);
+  if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+  return text;
+}
+
+// Drop a "#" comment (start of line, or after whitespace outside quotes)
+function stripComment(raw) {
+  let quote = null;
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if ((ch === '"' || ch === "'") && (i === 0 || /[\s[,]/.test(raw[i - 1]))) {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+      return raw.slice(0, i);
+    }
+  }
+  return raw;
+}
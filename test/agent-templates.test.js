@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readCommand } from '../src/converter.js';
+import { renderAgents } from '../src/agent-templates.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+// Agents as they were written by hand before the templates
+const FIXTURES = path.join(ROOT, 'test', 'fixtures', 'agents');
+
+async function render() {
+  const sourceDir = path.join(ROOT, 'source');
+  const commands = [];
+  for (const file of (await fs.readdir(sourceDir)).filter(file => file.endsWith('.md')).sort()) {
+    commands.push(await readCommand(path.join(sourceDir, file)));
+  }
+  return renderAgents(path.join(ROOT, 'templates', 'agents'), commands);
+}
+
+// The superclaude agent's command list is generated from the commands since
+const withoutCommandList = prompt => prompt.replace(/(## Available Commands\n)[\s\S]*?\n\n(?=## )/, '$1\n');
+
+test('templates render the hand-written agents unchanged', async () => {
+  const agents = await render();
+
+  for (const file of await fs.readdir(FIXTURES)) {
+    const expected = await fs.readJson(path.join(FIXTURES, file));
+    const agent = agents.find(candidate => candidate.name === expected.name);
+    assert.ok(agent, `${expected.name} is rendered`);
+
+    if (expected.name === 'superclaude') {
+      assert.deepEqual(
+        { ...agent, prompt: withoutCommandList(agent.prompt) },
+        { ...expected, prompt: withoutCommandList(expected.prompt) }
+      );
+    } else {
+      assert.deepEqual(agent, expected);
+    }
+  }
+});
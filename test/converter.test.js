@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCommandList, formatCommandTable, limitCommandLists } from '../src/converter.js';
+
+const commands = [
+  { name: 'analyze', metadata: { description: 'Analyze code', category: 'utility' } },
+  { name: 'help', metadata: { description: 'List commands', category: 'utility' } },
+  { name: 'workflow', metadata: { description: 'Plan work', category: 'orchestration' } }
+];
+
+test('limitCommandLists keeps only the installed commands in both list forms', () => {
+  const text = `# Help\n\n${formatCommandTable(commands)}\n\n## Agents\n\n${formatCommandList(commands)}\n`;
+  const limited = limitCommandLists(text, commands, ['analyze', 'help']);
+
+  assert.doesNotMatch(limited, /sc-workflow|Orchestration/);
+  assert.match(limited, /\| `#sc-analyze` \| Analyze code \|/);
+  assert.match(limited, /- #sc-help: List commands/);
+});
+
+test('limitCommandLists leaves text without a generated list alone', () => {
+  assert.equal(limitCommandLists('See #sc-workflow.', commands, ['help']), 'See #sc-workflow.');
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJsonc, stringifyJsonc, JsoncSyntaxError } from '../src/jsonc.js';
+
+const text = `// Kiro MCP servers
+{
+  "mcpServers": {
+    // Docs lookup
+    "context7": { "command": "npx" }, // pinned by the team
+    /* scratch server */
+    "stub": { "command": "node", "args": ["stub.js",], },
+  },
+}
+`;
+
+test('parses comments and trailing commas', () => {
+  const { value, tree } = parseJsonc(text);
+  assert.deepEqual(value, {
+    mcpServers: {
+      context7: { command: 'npx' },
+      stub: { command: 'node', args: ['stub.js'] }
+    }
+  });
+  assert.deepEqual(tree.before, ['// Kiro MCP servers']);
+});
+
+test('writes the comments back next to their keys', () => {
+  const { value, tree } = parseJsonc(text);
+  assert.equal(stringifyJsonc(value, tree), `// Kiro MCP servers
+{
+  "mcpServers": {
+    // Docs lookup
+    "context7": {
+      "command": "npx"
+    }, // pinned by the team
+    /* scratch server */
+    "stub": {
+      "command": "node",
+      "args": [
+        "stub.js"
+      ]
+    }
+  }
+}
+`);
+});
+
+test('drops the comments of a removed key and keeps the others', () => {
+  const { value, tree } = parseJsonc(text);
+  delete value.mcpServers.context7;
+  value.mcpServers.playwright = { command: 'npx' };
+
+  const output = stringifyJsonc(value, tree);
+  assert.doesNotMatch(output, /Docs lookup|pinned by the team/);
+  assert.match(output, /\/\* scratch server \*\/\n {4}"stub"/);
+  assert.deepEqual(parseJsonc(output).value, value);
+});
+
+test('reports the line and column of a syntax error', () => {
+  const cases = [
+    ['{\n  "a": 1\n  "b": 2\n}', 3, 3, 'Unexpected string, expected "," or "}"'],
+    ['{ "a": tru }', 1, 8, 'Unexpected "tru"'],
+    ['{\n  /* open', 2, 3, 'Unterminated comment'],
+    ['{ "a": 1 } x', 1, 12, 'Unexpected "x"'],
+    ['', 1, 1, 'Unexpected end of file, expected a value']
+  ];
+  for (const [input, line, column, reason] of cases) {
+    assert.throws(() => parseJsonc(input), error => {
+      assert.ok(error instanceof JsoncSyntaxError);
+      assert.deepEqual([error.reason, error.line, error.column], [reason, line, column], input);
+      return true;
+    });
+  }
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintCommands, lintReferences } from '../src/lint.js';
+
+const command = (metadata) => ({ name: 'x', file: 'x.md', metadata, body: '' });
+
+test('an MCP server this package does not define is an error unless allowlisted', () => {
+  const commands = [command({ name: 'x', description: 'X', 'mcp-servers': ['sequential', 'magic', 'tavily'] })];
+  const problems = lintCommands(commands, { servers: { magic: 'added by the user' } });
+  assert.deepEqual(problems.map(problem => [problem.level, problem.message.split(' (')[0]]), [
+    ['error', 'mcp-servers: "tavily" is not a defined MCP server']
+  ]);
+});
+
+test('references to uninstalled commands are warnings, to unknown ones errors', () => {
+  const problems = lintReferences(
+    [{ file: 'agents/superclaude.json', text: '#sc-help #sc-workflow #sc-nope' }],
+    ['help'],
+    ['workflow']
+  );
+  assert.deepEqual(problems, [
+    { level: 'error', file: 'agents/superclaude.json', message: 'references #sc-nope, which has no steering file' },
+    { level: 'warning', file: 'agents/superclaude.json', message: 'references commands that are not installed: #sc-workflow' }
+  ]);
+});
+
+test('a missing name or description is an error unless the command is allowlisted', () => {
+  const commands = [command({ purpose: 'X' }), command({ name: 'x' })];
+  assert.deepEqual(lintCommands(commands).map(problem => [problem.level, problem.message]), [
+    ['error', 'frontmatter has no "name"'],
+    ['error', 'frontmatter has no "description"'],
+    ['error', 'frontmatter has no "description" (or "purpose")']
+  ]);
+
+  // The allowlist lets "purpose" stand in, but cannot make up a description
+  const allowlist = { frontmatter: { x: { missing: ['name', 'description'], reason: 'upstream file' } } };
+  assert.deepEqual(lintCommands(commands, allowlist).map(problem => [problem.level, problem.message]), [
+    ['error', 'frontmatter has no "description" (or "purpose")']
+  ]);
+});
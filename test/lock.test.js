@@ -0,0 +1,72 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { acquireLock, LockedError, LOCK_FILE } from '../src/lock.js';
+
+let dir;
+let lockPath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-lock-'));
+  lockPath = path.join(dir, LOCK_FILE);
+});
+
+afterEach(() => fs.remove(dir));
+
+const writeLock = (owner) => fs.writeJson(lockPath, {
+  hostname: os.hostname(),
+  command: 'install',
+  startedAt: new Date().toISOString(),
+  ...owner
+});
+
+// The pid of a process that has already exited
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+test('a lock held by a live process is not taken over', async () => {
+  await writeLock({ pid: process.ppid });
+  await assert.rejects(acquireLock(dir, 'update'), error => {
+    assert.ok(error instanceof LockedError);
+    assert.equal(error.code, 'LOCKED');
+    assert.equal(error.owner.command, 'install');
+    return true;
+  });
+  assert.equal((await fs.readJson(lockPath)).pid, process.ppid);
+});
+
+test('a second acquire in the same process fails until the first is released', async () => {
+  const lock = await acquireLock(dir, 'install');
+  await assert.rejects(acquireLock(dir, 'update'), LockedError);
+  lock.release();
+  assert.equal(await fs.pathExists(lockPath), false);
+  (await acquireLock(dir, 'update')).release();
+});
+
+test('a lock whose process has exited is taken over', async () => {
+  await writeLock({ pid: deadPid() });
+  const lock = await acquireLock(dir, 'update');
+  assert.deepEqual(
+    (({ pid, command }) => ({ pid, command }))(await fs.readJson(lockPath)),
+    { pid: process.pid, command: 'update' }
+  );
+  lock.release();
+});
+
+test('a lock older than an hour is taken over, even with a live process', async () => {
+  await writeLock({ pid: process.ppid, startedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+  (await acquireLock(dir, 'update')).release();
+});
+
+test('a recent lock from another host is not taken over', async () => {
+  await writeLock({ pid: deadPid(), hostname: `not-${os.hostname()}` });
+  await assert.rejects(acquireLock(dir, 'update'), /on not-.*started less than a minute ago/);
+});
+
+test('release removes a Kiro directory the lock created', async () => {
+  const kiroDir = path.join(dir, '.kiro');
+  (await acquireLock(kiroDir, 'install')).release();
+  assert.equal(await fs.pathExists(kiroDir), false);
+});
@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { probeServer } from '../src/mcp-probe.js';
+import { writeSecret } from '../src/secrets.js';
+
+const STUB = fileURLToPath(new URL('../scripts/mcp-stub-server.js', import.meta.url));
+
+// A stub that only starts when STUB_KEY holds the key, as mcp.json has it with env key storage
+const stubConfig = {
+  command: process.execPath,
+  args: [STUB, '--require-env', 'STUB_KEY=test-key', 'tool_a'],
+  env: { STUB_KEY: '${SUPERCLAUDE_TEST_KEY}' }
+};
+
+let kiroDir;
+
+before(async () => {
+  kiroDir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-kiro-'));
+  process.env.KIRO_HOME = kiroDir;
+});
+
+after(async () => {
+  delete process.env.KIRO_HOME;
+  await fs.remove(kiroDir);
+});
+
+test('expands an env-mode key reference from the environment', async () => {
+  process.env.SUPERCLAUDE_TEST_KEY = 'test-key';
+  try {
+    const result = await probeServer(stubConfig, { timeout: 10000 });
+    assert.equal(result.ok, true, result.stderr);
+    assert.deepEqual(result.tools, ['tool_a']);
+  } finally {
+    delete process.env.SUPERCLAUDE_TEST_KEY;
+  }
+});
+
+test('expands a key reference from the secrets file', async () => {
+  await writeSecret('SUPERCLAUDE_TEST_KEY', 'test-key');
+  try {
+    const result = await probeServer(stubConfig, { timeout: 10000 });
+    assert.equal(result.ok, true, result.stderr);
+  } finally {
+    await writeSecret('SUPERCLAUDE_TEST_KEY', null);
+  }
+});
+
+test('leaves an unset reference out of the environment', async () => {
+  const result = await probeServer(stubConfig, { timeout: 10000 });
+  assert.equal(result.ok, false);
+  assert.match(result.stderr, /STUB_KEY is not set/);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { probeServer } from '../src/mcp-probe.js';
+
+const CLI = fileURLToPath(new URL('../bin/superclaude-kiro.js', import.meta.url));
+const STUB = fileURLToPath(new URL('../scripts/mcp-stub-server.js', import.meta.url));
+
+test('probeServer runs the handshake and lists the tools', async () => {
+  const result = await probeServer({ command: process.execPath, args: [STUB, 'tool_a', 'tool_b'] }, { timeout: 10000 });
+  assert.equal(result.ok, true, result.stderr);
+  assert.deepEqual(result.tools, ['tool_a', 'tool_b']);
+  assert.equal(typeof result.startupMs, 'number');
+});
+
+test('probeServer reports a server that exits before the handshake', async () => {
+  const result = await probeServer({ command: process.execPath, args: [STUB, '--require-env', 'STUB_KEY=x'] }, { timeout: 10000 });
+  assert.equal(result.ok, false);
+  assert.match(result.stderr, /STUB_KEY is not set/);
+});
+
+test('mcp test flags autoApprove entries the server does not expose', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-kiro-'));
+  try {
+    const kiroDir = path.join(dir, '.kiro');
+    await fs.outputJson(path.join(kiroDir, 'settings', 'mcp.json'), {
+      mcpServers: {
+        stub: { command: process.execPath, args: [STUB, 'tool_a'], autoApprove: ['tool_a', 'tool_b'] }
+      }
+    });
+
+    const result = spawnSync(process.execPath, [CLI, '--kiro-dir', kiroDir, 'mcp', 'test', 'stub', '--scope', 'global'], {
+      cwd: dir,
+      encoding: 'utf-8',
+      timeout: 30000
+    });
+
+    assert.equal(result.status, 0, result.stdout + result.stderr);
+    assert.match(result.stdout, /stub \(started in [\d.]+s\) - 1 tools/);
+    assert.match(result.stdout, /autoApprove names tools the server does not expose: tool_b\n/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { buildServerConfig, REGISTRY_FILE } from '../src/mcp-servers.js';
+
+test('buildServerConfig adds the API key to the env a registry entry defines', async (t) => {
+  const kiroDir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-registry-'));
+  const previous = process.env.KIRO_HOME;
+  process.env.KIRO_HOME = kiroDir;
+  t.after(async () => {
+    if (previous === undefined) delete process.env.KIRO_HOME;
+    else process.env.KIRO_HOME = previous;
+    await fs.remove(kiroDir);
+  });
+
+  await fs.writeJson(path.join(kiroDir, REGISTRY_FILE), {
+    servers: {
+      'team-search': {
+        requiresApiKey: true,
+        apiKeyEnvVar: 'TEAM_SEARCH_KEY',
+        config: { command: 'npx', args: ['-y', 'team-search-mcp'], env: { TEAM_SEARCH_REGION: 'eu' } }
+      }
+    }
+  });
+
+  assert.deepEqual(buildServerConfig('team-search', 'sk-test').env, {
+    TEAM_SEARCH_REGION: 'eu',
+    TEAM_SEARCH_KEY: 'sk-test'
+  });
+  assert.deepEqual(buildServerConfig('team-search').env, { TEAM_SEARCH_REGION: 'eu' });
+});
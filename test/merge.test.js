@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeThreeWay } from '../src/merge.js';
+
+const base = 'one\ntwo\nthree\nfour\n';
+
+test('changes to different lines merge cleanly', () => {
+  const ours = 'one\ntwo (local)\nthree\nfour\n';
+  const theirs = 'one\ntwo\nthree\nfour (package)\n';
+  assert.deepEqual(mergeThreeWay(base, ours, theirs), {
+    text: 'one\ntwo (local)\nthree\nfour (package)\n',
+    conflicts: 0
+  });
+});
+
+test('different changes to the same line get conflict markers', () => {
+  const ours = 'one\ntwo (local)\nthree\nfour\n';
+  const theirs = 'one\ntwo (package)\nthree\nfour\n';
+  assert.deepEqual(mergeThreeWay(base, ours, theirs, { ours: 'mine', theirs: '4.2.0' }), {
+    text: 'one\n<<<<<<< mine\ntwo (local)\n=======\ntwo (package)\n>>>>>>> 4.2.0\nthree\nfour\n',
+    conflicts: 1
+  });
+});
+
+test('the same change on both sides is not a conflict', () => {
+  const both = 'one\ntwo, edited\nthree\nfour\n';
+  assert.deepEqual(mergeThreeWay(base, both, both), { text: both, conflicts: 0 });
+});
+
+test('lines appended at the end of the file', () => {
+  // One side appends while the other edits earlier: clean
+  assert.deepEqual(mergeThreeWay(base, base + 'five\n', 'one (package)\ntwo\nthree\nfour\n'), {
+    text: 'one (package)\ntwo\nthree\nfour\nfive\n',
+    conflicts: 0
+  });
+
+  // Both sides append different lines: a conflict, terminated before the marker
+  assert.deepEqual(mergeThreeWay('a\n', 'a\nlocal', 'a\npackage\n'), {
+    text: 'a\n<<<<<<< local\nlocal\n=======\npackage\n>>>>>>> package\n',
+    conflicts: 1
+  });
+});
+
+test('an unedited side takes the other side as it is', () => {
+  const theirs = 'one\nthree\nfour\nfive\n';
+  assert.deepEqual(mergeThreeWay(base, base, theirs), { text: theirs, conflicts: 0 });
+  assert.deepEqual(mergeThreeWay(base, theirs, base), { text: theirs, conflicts: 0 });
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadRewriteRules, rewriteSyntax } from '../src/rewrite.js';
+
+const rules = {
+  commands: { from: '/sc:', to: '#sc-' },
+  commandPrefix: { from: '/sc', to: '#sc-help' },
+  tools: { Read: 'read', Write: 'write', Edit: 'write', Bash: 'shell', Task: 'use_subagent', NotebookEdit: null },
+  proseWords: ['Read', 'Write', 'Edit', 'Task'],
+  paths: { '~/.claude/agents/': '~/.kiro/agents/', 'CLAUDE.md': 'AGENTS.md', '~/.claude/': null }
+};
+
+const rewrite = text => rewriteSyntax(text, rules, ['analyze', 'help']).text;
+
+test('commands: known names are rewritten, unknown ones reported', () => {
+  const result = rewriteSyntax('Run /sc:analyze, then /sc:deploy and /sc:deploy.', rules, ['analyze']);
+  assert.equal(result.text, 'Run #sc-analyze, then /sc:deploy and /sc:deploy.');
+  assert.deepEqual(result.changes, [{ from: '/sc:analyze', to: '#sc-analyze', count: 1 }]);
+  assert.deepEqual(result.unmapped, [{ text: '/sc:deploy', reason: 'no such command', count: 2 }]);
+});
+
+test('commandPrefix: only /sc on its own', () => {
+  assert.equal(rewrite('Type /sc to list them. See commands/sc/ and ~/.claude/commands/sc.'),
+    'Type #sc-help to list them. See commands/sc/ and ~/.claude/commands/sc.');
+  assert.equal(rewriteSyntax('Type /sc.', { ...rules, commandPrefix: null }, []).text, 'Type /sc.');
+});
+
+test('tools: lists and bold names, prose words left alone', () => {
+  assert.equal(rewrite('Use Write/Edit/Bash, then Read, Bash.'), 'Use write/shell, then read, shell.');
+  assert.equal(rewrite('Read the docs. Delegate with **Task**.'), 'Read the docs. Delegate with **use_subagent**.');
+  assert.equal(rewrite('Run Bash.'), 'Run shell.');
+});
+
+test('tools without a Kiro equivalent are left as they are and reported', () => {
+  const result = rewriteSyntax('Use Read/NotebookEdit.', rules, []);
+  assert.equal(result.text, 'Use read/NotebookEdit.');
+  assert.deepEqual(result.unmapped, [{ text: 'NotebookEdit', reason: 'no Kiro tool', count: 1 }]);
+});
+
+test('MCP tool names become @server/tool', () => {
+  assert.equal(rewrite('Allow mcp__serena__find_symbol and mcp__context7__*.'), 'Allow @serena/find_symbol and @context7.');
+});
+
+test('paths: the longest match wins, null is reported', () => {
+  const result = rewriteSyntax('See ~/.claude/agents/x.md, CLAUDE.md and ~/.claude/settings.json.', rules, []);
+  assert.equal(result.text, 'See ~/.kiro/agents/x.md, AGENTS.md and ~/.claude/settings.json.');
+  assert.deepEqual(result.unmapped, [{ text: '~/.claude/', reason: 'no Kiro path', count: 1 }]);
+});
+
+test('loadRewriteRules rejects a malformed table', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-rules-'));
+  t.after(() => fs.remove(dir));
+  const load = async table => {
+    const file = path.join(dir, 'rules.json');
+    await fs.writeJson(file, table);
+    return loadRewriteRules(file);
+  };
+
+  assert.deepEqual(await load({ commands: rules.commands }), {
+    commands: rules.commands, commandPrefix: null, tools: {}, proseWords: [], paths: {}
+  });
+  await assert.rejects(load({ commands: { from: '/sc:' } }), /"commands" needs "from" and "to" strings/);
+  await assert.rejects(load({ ...rules, tools: { Read: 1 } }), /tools\."Read" must be a string or null/);
+  await assert.rejects(load({ ...rules, proseWords: ['Grep'] }), /proseWords not in "tools": Grep/);
+});
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveKeyStorage } from '../src/secrets.js';
+
+test('resolveKeyStorage keeps keys out of a project mcp.json unless plaintext is requested', () => {
+  assert.equal(resolveKeyStorage('project'), 'secrets');
+  assert.equal(resolveKeyStorage('project', null, 'plaintext'), 'secrets');
+  assert.equal(resolveKeyStorage('project', null, 'env'), 'env');
+  assert.equal(resolveKeyStorage('project', 'plaintext', 'env'), 'plaintext');
+});
+
+test('resolveKeyStorage reuses the recorded mode globally, defaulting to plaintext', () => {
+  assert.equal(resolveKeyStorage('global'), 'plaintext');
+  assert.equal(resolveKeyStorage('global', null, 'secrets'), 'secrets');
+  assert.equal(resolveKeyStorage('global', 'env', 'secrets'), 'env');
+});
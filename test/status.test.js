@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('../bin/superclaude-kiro.js', import.meta.url));
+
+test('status --json reports a corrupt version file as degraded', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaude-kiro-'));
+  try {
+    const kiroDir = path.join(dir, '.kiro');
+    await fs.outputFile(path.join(kiroDir, 'steering', 'superclaude', 'sc-help.md'), '# help\n');
+    await fs.outputFile(path.join(kiroDir, 'docs', 'superclaude-version.json'), '{ "version": ');
+
+    const result = spawnSync(process.execPath, [CLI, '--kiro-dir', kiroDir, 'status', '--json', '--scope', 'global'], {
+      cwd: dir,
+      encoding: 'utf-8',
+      timeout: 30000
+    });
+
+    assert.equal(result.status, 1, result.stderr);
+    const status = JSON.parse(result.stdout);
+    assert.equal(status.schemaVersion, 1);
+    assert.equal(status.status, 'degraded');
+    assert.equal(status.version, null);
+    assert.match(status.problems[0], /Version file is not valid JSON: .*superclaude-version\.json/);
+  } finally {
+    await fs.remove(dir);
+  }
+});